@@ -0,0 +1,213 @@
+import dotenv from "dotenv";
+import { Pool } from "pg";
+import path from "path";
+import fs from "fs";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+// ระบบ migration แบบมีเลขเวอร์ชัน
+// ไฟล์อยู่ใน migrations/ ตั้งชื่อเป็น <เลข>_<ชื่อ>.up.sql และ <เลข>_<ชื่อ>.down.sql
+// ผลการรันถูกเก็บในตาราง schema_migrations
+
+const __filename = fileURLToPath(import.meta.url);
+const MIGRATIONS_DIR = path.join(path.dirname(__filename), "migrations");
+const MIGRATION_LOCK_ID = 7_202_501; // ใช้กับ pg_advisory_lock กันการรันซ้อนกันหลาย instance
+
+function checksum(sql) {
+  return crypto.createHash("sha256").update(sql).digest("hex");
+}
+
+// อ่านรายการ migration จากโฟลเดอร์ เรียงตามเลขเวอร์ชัน
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = fs.readdirSync(dir);
+  const migrations = [];
+
+  for (const file of files) {
+    const match = file.match(/^(\d+)_(.+)\.up\.sql$/);
+    if (!match) continue;
+    const [, version, name] = match;
+    const downFile = path.join(dir, `${version}_${name}.down.sql`);
+    const up = fs.readFileSync(path.join(dir, file), "utf8");
+    migrations.push({
+      version,
+      name,
+      up,
+      down: fs.existsSync(downFile) ? fs.readFileSync(downFile, "utf8") : null,
+      checksum: checksum(up),
+    });
+  }
+
+  migrations.sort((a, b) => Number(a.version) - Number(b.version));
+  for (let i = 1; i < migrations.length; i++) {
+    if (Number(migrations[i].version) === Number(migrations[i - 1].version)) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'applied',
+      error TEXT,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+}
+
+// state ของแต่ละ migration: applied | pending | failed (+ modified ถ้าไฟล์ถูกแก้หลังรันไปแล้ว)
+export async function migrationStatus(db) {
+  await ensureMigrationsTable(db);
+  const { rows } = await db.query("SELECT * FROM schema_migrations");
+  const recorded = new Map(rows.map((r) => [r.version, r]));
+
+  const status = loadMigrations().map((m) => {
+    const row = recorded.get(m.version);
+    recorded.delete(m.version);
+    return {
+      version: m.version,
+      name: m.name,
+      state: row ? row.status : "pending",
+      modified: Boolean(row && row.status === "applied" && row.checksum !== m.checksum),
+      applied_at: row?.applied_at ?? null,
+      error: row?.error ?? null,
+    };
+  });
+
+  // แถวที่มีใน DB แต่ไม่มีไฟล์แล้ว
+  for (const row of recorded.values()) {
+    status.push({
+      version: row.version,
+      name: row.name,
+      state: row.status === "applied" ? "missing" : row.status,
+      modified: false,
+      applied_at: row.applied_at,
+      error: row.error,
+    });
+  }
+  return status;
+}
+
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+// รัน migration ที่ยังไม่ถูกรัน (หรือที่เคย fail) ทีละไฟล์ใน transaction ของตัวเอง
+// หยุดทันทีเมื่อเจอไฟล์ที่ fail และบันทึก error ไว้ใน schema_migrations
+export async function migrateUp(pool, { log = console.log } = {}) {
+  return withLock(pool, async (client) => {
+    const { rows } = await client.query("SELECT version FROM schema_migrations WHERE status='applied'");
+    const applied = new Set(rows.map((r) => r.version));
+    const done = [];
+
+    for (const m of loadMigrations()) {
+      if (applied.has(m.version)) continue;
+
+      try {
+        await client.query("BEGIN");
+        await client.query(m.up);
+        await client.query(
+          `INSERT INTO schema_migrations (version, name, checksum, status, error, applied_at)
+           VALUES ($1, $2, $3, 'applied', NULL, now())
+           ON CONFLICT (version) DO UPDATE SET
+             name = EXCLUDED.name, checksum = EXCLUDED.checksum,
+             status = 'applied', error = NULL, applied_at = now()`,
+          [m.version, m.name, m.checksum]
+        );
+        await client.query("COMMIT");
+        log(`✅ Applied ${m.version}_${m.name}`);
+        done.push(m.version);
+      } catch (e) {
+        await client.query("ROLLBACK");
+        await client.query(
+          `INSERT INTO schema_migrations (version, name, checksum, status, error, applied_at)
+           VALUES ($1, $2, $3, 'failed', $4, now())
+           ON CONFLICT (version) DO UPDATE SET
+             checksum = EXCLUDED.checksum, status = 'failed', error = EXCLUDED.error, applied_at = now()`,
+          [m.version, m.name, m.checksum, e.message]
+        );
+        throw new Error(`Migration ${m.version}_${m.name} failed: ${e.message}`);
+      }
+    }
+    return done;
+  });
+}
+
+// ย้อน migration ล่าสุดที่รันแล้ว steps ครั้ง
+export async function migrateDown(pool, { steps = 1, log = console.log } = {}) {
+  return withLock(pool, async (client) => {
+    const migrations = new Map(loadMigrations().map((m) => [m.version, m]));
+    const { rows } = await client.query(
+      "SELECT version, name FROM schema_migrations WHERE status='applied' ORDER BY version::int DESC LIMIT $1",
+      [steps]
+    );
+    const done = [];
+
+    for (const row of rows) {
+      const m = migrations.get(row.version);
+      if (!m?.down) throw new Error(`Migration ${row.version}_${row.name} has no down file`);
+
+      try {
+        await client.query("BEGIN");
+        await client.query(m.down);
+        await client.query("DELETE FROM schema_migrations WHERE version=$1", [m.version]);
+        await client.query("COMMIT");
+        log(`↩️  Reverted ${m.version}_${m.name}`);
+        done.push(m.version);
+      } catch (e) {
+        await client.query("ROLLBACK");
+        throw new Error(`Rollback of ${m.version}_${m.name} failed: ${e.message}`);
+      }
+    }
+    return done;
+  });
+}
+
+// --- CLI: node migrate.js up | down [steps] | status ---
+async function main() {
+  dotenv.config();
+  const [command = "status", arg] = process.argv.slice(2);
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL, connectionTimeoutMillis: 5000 });
+
+  try {
+    if (command === "up") {
+      const done = await migrateUp(pool);
+      if (!done.length) console.log("✅ Database is up to date");
+    } else if (command === "down") {
+      const steps = Number(arg || 1);
+      if (!Number.isInteger(steps) || steps < 1) throw new Error("steps must be a positive integer");
+      const done = await migrateDown(pool, { steps });
+      if (!done.length) console.log("Nothing to revert");
+    } else if (command === "status") {
+      for (const m of await migrationStatus(pool)) {
+        const mark = { applied: "[x]", pending: "[ ]", failed: "[!]", missing: "[?]" }[m.state] || "[?]";
+        const note = m.modified ? " (modified after apply)" : m.error ? ` - ${m.error}` : "";
+        console.log(`${mark} ${m.version}_${m.name} ${m.state}${note}`);
+      }
+    } else {
+      console.error("Usage: node migrate.js up | down [steps] | status");
+      process.exitCode = 1;
+    }
+  } catch (e) {
+    console.error("❌", e.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main();
+}
@@ -0,0 +1,12 @@
+DROP TABLE IF EXISTS warranty_policy;
+DROP TABLE IF EXISTS contact_page;
+DROP TABLE IF EXISTS partner_logos;
+DROP TABLE IF EXISTS customer_logos;
+DROP TABLE IF EXISTS certifications;
+DROP TABLE IF EXISTS public.news;
+DROP TABLE IF EXISTS services;
+DROP TABLE IF EXISTS products;
+DROP TABLE IF EXISTS service_categories;
+DROP TABLE IF EXISTS product_categories;
+DROP TABLE IF EXISTS admin_users;
+DROP FUNCTION IF EXISTS public.set_updated_at();
@@ -0,0 +1,149 @@
+-- โครงสร้างเริ่มต้น (ยกมาจาก initDB() เดิม ใช้ IF NOT EXISTS เพื่อให้รันบน DB ที่มีตารางอยู่แล้วได้)
+
+-- Helper function for updated_at
+CREATE OR REPLACE FUNCTION public.set_updated_at()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$;
+
+CREATE TABLE IF NOT EXISTS admin_users (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(50) UNIQUE NOT NULL,
+  password_hash TEXT NOT NULL,
+  role VARCHAR(20) DEFAULT 'admin'
+);
+
+CREATE TABLE IF NOT EXISTS product_categories (
+  id SERIAL PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  slug VARCHAR(255) UNIQUE NOT NULL,
+  sort_order INT DEFAULT 0,
+  is_active BOOLEAN DEFAULT true,
+  subcategories JSONB DEFAULT '[]'
+);
+
+CREATE TABLE IF NOT EXISTS service_categories (
+  id SERIAL PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  slug VARCHAR(255) UNIQUE NOT NULL,
+  sort_order INT DEFAULT 0,
+  is_active BOOLEAN DEFAULT true
+);
+
+CREATE TABLE IF NOT EXISTS products (
+  id SERIAL PRIMARY KEY,
+  category VARCHAR(255) NOT NULL,
+  subcategory VARCHAR(255) DEFAULT '',
+  name VARCHAR(255) NOT NULL,
+  description TEXT DEFAULT '',
+  image_url TEXT DEFAULT '',
+  sort_order INT DEFAULT 0,
+  is_active BOOLEAN DEFAULT true,
+  cta_url TEXT DEFAULT '',
+  specifications JSONB DEFAULT '[]'
+);
+
+CREATE TABLE IF NOT EXISTS services (
+  id SERIAL PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  category VARCHAR(255) DEFAULT '',
+  description TEXT DEFAULT '',
+  image_url TEXT DEFAULT '',
+  sort_order INT DEFAULT 0,
+  is_active BOOLEAN DEFAULT true
+);
+
+CREATE TABLE IF NOT EXISTS public.news (
+  id BIGSERIAL PRIMARY KEY,
+  title TEXT NOT NULL,
+  desc1 TEXT NOT NULL,
+  desc2 TEXT,
+  date_label TEXT NOT NULL,
+  cover_image_url TEXT,
+  gallery JSONB NOT NULL DEFAULT '[]'::jsonb,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+DROP TRIGGER IF EXISTS trg_news_updated ON public.news;
+CREATE TRIGGER trg_news_updated
+BEFORE UPDATE ON public.news
+FOR EACH ROW
+EXECUTE FUNCTION public.set_updated_at();
+
+CREATE TABLE IF NOT EXISTS certifications (
+  id SERIAL PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  image_url TEXT DEFAULT '',
+  sort_order INT DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS customer_logos (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  image_url TEXT DEFAULT '',
+  sort_order INT DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS partner_logos (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  image_url TEXT DEFAULT '',
+  sort_order INT DEFAULT 0,
+  is_active BOOLEAN DEFAULT true
+);
+
+CREATE TABLE IF NOT EXISTS contact_page (
+  id INT PRIMARY KEY,
+  heading TEXT,
+  description TEXT,
+  email VARCHAR(255),
+  phone VARCHAR(50),
+  line_label VARCHAR(100),
+  line_url TEXT,
+  line_icon_url TEXT,
+  line_qr_url TEXT,
+  facebook_label VARCHAR(100),
+  facebook_url TEXT,
+  address_lines JSONB DEFAULT '[]',
+  open_hours TEXT,
+  map_title TEXT,
+  map_embed_url TEXT,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- คอลัมน์ที่เคยเพิ่มทีหลัง (กรณีตารางถูกสร้างไว้ก่อนแล้ว)
+ALTER TABLE contact_page ADD COLUMN IF NOT EXISTS facebook_label VARCHAR(100);
+ALTER TABLE contact_page ADD COLUMN IF NOT EXISTS facebook_url TEXT;
+ALTER TABLE contact_page ADD COLUMN IF NOT EXISTS line_qr_url TEXT;
+
+CREATE TABLE IF NOT EXISTS warranty_policy (
+  id INT PRIMARY KEY,
+  heading TEXT DEFAULT 'นโยบายการรับประกันสินค้า',
+  general_terms JSONB DEFAULT '[]',
+  exclusion_heading TEXT DEFAULT 'เงื่อนไขที่อยู่นอกเหนือการรับประกัน',
+  exclusions JSONB DEFAULT '[]',
+  product_warranty_heading TEXT,
+  product_warranty_desc TEXT,
+  product_warranties JSONB DEFAULT '[]',
+  claim_heading TEXT,
+  claim_steps JSONB DEFAULT '[]',
+  claim_notes TEXT,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE warranty_policy ADD COLUMN IF NOT EXISTS product_warranty_heading TEXT;
+ALTER TABLE warranty_policy ADD COLUMN IF NOT EXISTS product_warranty_desc TEXT;
+ALTER TABLE warranty_policy ADD COLUMN IF NOT EXISTS product_warranties JSONB DEFAULT '[]';
+ALTER TABLE warranty_policy ADD COLUMN IF NOT EXISTS claim_heading TEXT;
+ALTER TABLE warranty_policy ADD COLUMN IF NOT EXISTS claim_steps JSONB DEFAULT '[]';
+ALTER TABLE warranty_policy ADD COLUMN IF NOT EXISTS claim_notes TEXT;
+
+INSERT INTO warranty_policy (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
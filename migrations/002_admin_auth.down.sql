@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS login_lockouts;
+DROP TABLE IF EXISTS login_attempts;
+DROP TABLE IF EXISTS admin_sessions;
+ALTER TABLE admin_users DROP COLUMN IF EXISTS created_at;
+ALTER TABLE admin_users DROP COLUMN IF EXISTS is_active;
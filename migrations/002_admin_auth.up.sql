@@ -0,0 +1,41 @@
+-- สถานะผู้ใช้, session ของ refresh token และตัวนับ login ที่ล้มเหลว
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT now();
+
+-- refresh token ของแต่ละ session (เก็บเป็น sha256 hash)
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+  refresh_token_hash TEXT UNIQUE NOT NULL,
+  previous_token_hash TEXT,
+  user_agent TEXT,
+  ip TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_used_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_user ON admin_sessions (user_id);
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_previous ON admin_sessions (previous_token_hash);
+
+-- ตัวนับ login ที่ล้มเหลว (scope = 'username' หรือ 'ip')
+CREATE TABLE IF NOT EXISTS login_attempts (
+  scope VARCHAR(20) NOT NULL,
+  value TEXT NOT NULL,
+  failures INT NOT NULL DEFAULT 0,
+  first_failed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_failed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  locked_until TIMESTAMPTZ,
+  PRIMARY KEY (scope, value)
+);
+
+CREATE TABLE IF NOT EXISTS login_lockouts (
+  id BIGSERIAL PRIMARY KEY,
+  scope VARCHAR(20) NOT NULL,
+  value TEXT NOT NULL,
+  username TEXT,
+  ip TEXT,
+  failures INT NOT NULL,
+  locked_until TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
@@ -0,0 +1 @@
+ALTER TABLE certifications DROP COLUMN IF EXISTS description;
@@ -0,0 +1,2 @@
+-- POST /api/certifications บันทึก description แต่ตารางเดิมไม่มีคอลัมน์นี้
+ALTER TABLE certifications ADD COLUMN IF NOT EXISTS description TEXT DEFAULT '';
@@ -0,0 +1,2 @@
+ALTER TABLE customer_logos DROP COLUMN IF EXISTS is_active;
+ALTER TABLE certifications DROP COLUMN IF EXISTS is_active;
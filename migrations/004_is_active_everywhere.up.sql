@@ -0,0 +1,3 @@
+-- certifications และ customer_logos ยังไม่มีสถานะเปิด/ปิดการแสดงผล
+ALTER TABLE certifications ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE customer_logos ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_news_search;
+DROP INDEX IF EXISTS idx_services_search;
+DROP INDEX IF EXISTS idx_products_search;
+DROP FUNCTION IF EXISTS public.jsonb_values_text(jsonb);
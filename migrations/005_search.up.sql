@@ -0,0 +1,25 @@
+-- ค้นหาทั้งเว็บ (GET /api/search)
+-- ภาษาไทยไม่มีช่องว่างระหว่างคำ จึงค้นแบบ substring (ILIKE) และใช้ trigram index ช่วยเร่งความเร็ว
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- รวมค่า string/number ทั้งหมดใน jsonb เป็นข้อความเดียว (ไม่รวมชื่อ key)
+CREATE OR REPLACE FUNCTION public.jsonb_values_text(j jsonb)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT coalesce(string_agg(v #>> '{}', ' '), '')
+  FROM jsonb_path_query(coalesce(j, '[]'::jsonb), 'strict $.**') AS v
+  WHERE jsonb_typeof(v) IN ('string', 'number')
+$$;
+
+-- expression ต้องตรงกับที่ searchDocument() ใน server.js สร้าง
+CREATE INDEX IF NOT EXISTS idx_products_search ON products USING gin (
+  (coalesce(name, '') || ' ' || coalesce(description, '') || ' ' || coalesce(public.jsonb_values_text(specifications), '')) gin_trgm_ops
+);
+CREATE INDEX IF NOT EXISTS idx_services_search ON services USING gin (
+  (coalesce(title, '') || ' ' || coalesce(description, '')) gin_trgm_ops
+);
+CREATE INDEX IF NOT EXISTS idx_news_search ON public.news USING gin (
+  (coalesce(title, '') || ' ' || coalesce(desc1, '') || ' ' || coalesce(desc2, '')) gin_trgm_ops
+);
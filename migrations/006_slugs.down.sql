@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS slug_history;
+DROP INDEX IF EXISTS idx_news_slug;
+DROP INDEX IF EXISTS idx_services_slug;
+DROP INDEX IF EXISTS idx_products_slug;
+ALTER TABLE public.news DROP COLUMN IF EXISTS slug;
+ALTER TABLE services DROP COLUMN IF EXISTS slug;
+ALTER TABLE products DROP COLUMN IF EXISTS slug;
@@ -0,0 +1,18 @@
+-- slug สำหรับ products / services / news และประวัติ slug เดิม (ใช้ redirect ไป slug ใหม่)
+-- แถวเดิมที่ยังไม่มี slug จะถูกเติมตอน server start (backfillSlugs ใน server.js)
+ALTER TABLE products ADD COLUMN IF NOT EXISTS slug VARCHAR(255);
+ALTER TABLE services ADD COLUMN IF NOT EXISTS slug VARCHAR(255);
+ALTER TABLE public.news ADD COLUMN IF NOT EXISTS slug VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_slug ON products (slug);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_services_slug ON services (slug);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_news_slug ON public.news (slug);
+
+CREATE TABLE IF NOT EXISTS slug_history (
+  table_name VARCHAR(50) NOT NULL,
+  old_slug VARCHAR(255) NOT NULL,
+  record_id BIGINT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (table_name, old_slug)
+);
+CREATE INDEX IF NOT EXISTS idx_slug_history_record ON slug_history (table_name, record_id);
@@ -0,0 +1,9 @@
+-- แถวที่อยู่ในถังขยะจะกลับมาแสดงผลหลัง down (ลบถาวรก่อนถ้าไม่ต้องการ)
+ALTER TABLE partner_logos DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE customer_logos DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE certifications DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE public.news DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE services DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE products DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE service_categories DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE product_categories DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,16 @@
+-- ประวัติการแก้ไขข้อมูลโดย admin (ไม่ผูก FK กับ admin_users เพื่อให้ประวัติยังอยู่หลังลบผู้ใช้)
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INT,
+  username TEXT,
+  action VARCHAR(30) NOT NULL,
+  resource VARCHAR(50) NOT NULL,
+  resource_id TEXT,
+  changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ip TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_resource ON audit_log (resource, resource_id, created_at DESC);
@@ -0,0 +1,27 @@
+-- snapshot ของข้อมูลหลังการบันทึกแต่ละครั้ง ใช้ดูประวัติ/diff และ rollback
+CREATE TABLE IF NOT EXISTS revisions (
+  id BIGSERIAL PRIMARY KEY,
+  resource VARCHAR(50) NOT NULL,
+  record_id INT NOT NULL,
+  revision INT NOT NULL,
+  data JSONB NOT NULL,
+  user_id INT,
+  username TEXT,
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (resource, record_id, revision)
+);
+
+-- เก็บข้อมูลปัจจุบันเป็น revision แรก เพื่อให้ rollback กลับมาได้หลังการแก้ไขครั้งแรก
+INSERT INTO revisions (resource, record_id, revision, data, note)
+SELECT 'contact', id, 1, to_jsonb(t), 'baseline' FROM contact_page t
+ON CONFLICT DO NOTHING;
+INSERT INTO revisions (resource, record_id, revision, data, note)
+SELECT 'warranty', id, 1, to_jsonb(t), 'baseline' FROM warranty_policy t
+ON CONFLICT DO NOTHING;
+INSERT INTO revisions (resource, record_id, revision, data, note)
+SELECT 'products', id, 1, to_jsonb(t), 'baseline' FROM products t
+ON CONFLICT DO NOTHING;
+INSERT INTO revisions (resource, record_id, revision, data, note)
+SELECT 'news', id, 1, to_jsonb(t), 'baseline' FROM public.news t
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_news_published;
+ALTER TABLE public.news DROP CONSTRAINT IF EXISTS news_status_check;
+ALTER TABLE public.news DROP COLUMN IF EXISTS unpublish_at;
+ALTER TABLE public.news DROP COLUMN IF EXISTS publish_at;
+ALTER TABLE public.news DROP COLUMN IF EXISTS published_at;
+ALTER TABLE public.news DROP COLUMN IF EXISTS status;
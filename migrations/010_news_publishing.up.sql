@@ -0,0 +1,13 @@
+-- สถานะข่าว (draft/published/archived), วันที่เผยแพร่จริง และช่วงเวลาที่แสดงบนหน้าเว็บ
+ALTER TABLE public.news ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'published';
+ALTER TABLE public.news ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ;
+ALTER TABLE public.news ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ;
+ALTER TABLE public.news ADD COLUMN IF NOT EXISTS unpublish_at TIMESTAMPTZ;
+
+ALTER TABLE public.news DROP CONSTRAINT IF EXISTS news_status_check;
+ALTER TABLE public.news ADD CONSTRAINT news_status_check CHECK (status IN ('draft', 'published', 'archived'));
+
+-- ข่าวเดิมถือว่าเผยแพร่ตั้งแต่วันที่สร้าง
+UPDATE public.news SET published_at = created_at WHERE published_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_news_published ON public.news (status, published_at DESC) WHERE deleted_at IS NULL;
@@ -0,0 +1,16 @@
+-- ไฟล์ที่อัปโหลดผ่าน /api/upload (ไฟล์เดิมใน storage เพิ่มเข้ามาได้ด้วย POST /api/admin/media/sync)
+CREATE TABLE IF NOT EXISTS media (
+  id BIGSERIAL PRIMARY KEY,
+  filename TEXT UNIQUE NOT NULL,
+  url TEXT NOT NULL,
+  original_name TEXT,
+  mime_type VARCHAR(100) NOT NULL,
+  size_bytes BIGINT NOT NULL,
+  width INT,
+  height INT,
+  alt_text TEXT NOT NULL DEFAULT '',
+  uploaded_by INT REFERENCES admin_users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_media_created ON media (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_media_search ON media USING gin ((coalesce(original_name, '') || ' ' || alt_text) gin_trgm_ops);
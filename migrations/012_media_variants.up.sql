@@ -0,0 +1,2 @@
+-- ไฟล์ย่อขนาด/WebP ที่สร้างตอนอัปโหลด: { "webp": "/uploads/...", "thumbnail": { "url", "webp_url", "width", "height" }, ... }
+ALTER TABLE media ADD COLUMN IF NOT EXISTS variants JSONB NOT NULL DEFAULT '{}'::jsonb;
@@ -0,0 +1,8 @@
+-- กลับเป็นรายการ URL แบบเดิม (caption/alt จะหายไป)
+ALTER TABLE public.news DROP CONSTRAINT IF EXISTS news_gallery_array_check;
+
+UPDATE public.news n SET gallery = COALESCE((
+  SELECT jsonb_agg(to_jsonb(item->>'url') ORDER BY (item->>'order')::int, pos)
+  FROM jsonb_array_elements(n.gallery) WITH ORDINALITY AS a(item, pos)
+  WHERE jsonb_typeof(item) = 'object'
+), '[]'::jsonb);
@@ -0,0 +1,28 @@
+-- gallery ของข่าวเป็นรายการที่มีโครงสร้าง: [{ "id", "url", "caption", "alt", "order" }]
+-- ข้อมูลเดิมที่เป็น URL (string) หรือ object ที่ใช้ชื่อ field อื่น (image_url, src, alt_text) จะถูกแปลง, รายการที่ไม่มี URL ถูกตัดทิ้ง
+UPDATE public.news n SET gallery = COALESCE((
+  SELECT jsonb_agg(
+    jsonb_build_object('id', gen_random_uuid()::text, 'url', e.url, 'caption', e.caption, 'alt', e.alt, 'order', e.pos - 1)
+    ORDER BY e.pos
+  )
+  FROM (
+    SELECT
+      row_number() OVER (ORDER BY i.pos) AS pos,
+      i.url,
+      COALESCE(i.item->>'caption', '') AS caption,
+      COALESCE(i.item->>'alt', i.item->>'alt_text', '') AS alt
+    FROM (
+      SELECT
+        item,
+        pos,
+        CASE WHEN jsonb_typeof(item) = 'string' THEN item #>> '{}'
+             ELSE COALESCE(item->>'url', item->>'image_url', item->>'src') END AS url
+      FROM jsonb_array_elements(CASE WHEN jsonb_typeof(n.gallery) = 'array' THEN n.gallery ELSE '[]'::jsonb END)
+        WITH ORDINALITY AS a(item, pos)
+    ) i
+    WHERE COALESCE(i.url, '') <> ''
+  ) e
+), '[]'::jsonb);
+
+ALTER TABLE public.news DROP CONSTRAINT IF EXISTS news_gallery_array_check;
+ALTER TABLE public.news ADD CONSTRAINT news_gallery_array_check CHECK (jsonb_typeof(gallery) = 'array');
@@ -0,0 +1,23 @@
+-- กลับไปเก็บชื่อหมวดหมู่เป็นข้อความ (ใช้ slug ของหมวดหมู่) และ subcategories เป็น JSONB
+ALTER TABLE product_categories ADD COLUMN IF NOT EXISTS subcategories JSONB DEFAULT '[]';
+ALTER TABLE products ADD COLUMN IF NOT EXISTS category VARCHAR(255);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS subcategory VARCHAR(255) DEFAULT '';
+ALTER TABLE services ADD COLUMN IF NOT EXISTS category VARCHAR(255) DEFAULT '';
+
+UPDATE product_categories c SET subcategories = COALESCE((
+  SELECT jsonb_agg(s.title ORDER BY s.sort_order, s.id) FROM product_subcategories s WHERE s.category_id = c.id
+), '[]'::jsonb);
+
+UPDATE products p SET
+  category = (SELECT c.slug FROM product_categories c WHERE c.id = p.category_id),
+  subcategory = COALESCE((SELECT s.title FROM product_subcategories s WHERE s.id = p.subcategory_id), '');
+UPDATE services s SET category = COALESCE((SELECT c.slug FROM service_categories c WHERE c.id = s.category_id), '');
+
+ALTER TABLE products ALTER COLUMN category SET NOT NULL;
+
+DROP INDEX IF EXISTS idx_services_category;
+DROP INDEX IF EXISTS idx_products_category;
+ALTER TABLE services DROP COLUMN IF EXISTS category_id;
+ALTER TABLE products DROP COLUMN IF EXISTS subcategory_id;
+ALTER TABLE products DROP COLUMN IF EXISTS category_id;
+DROP TABLE IF EXISTS product_subcategories;
@@ -0,0 +1,120 @@
+-- หมวดหมู่ย่อยของสินค้าเป็นแถวจริง และ products/services อ้างอิงหมวดหมู่ด้วย id (foreign key)
+-- แทน category/subcategory ที่เป็นข้อความ และ product_categories.subcategories ที่เป็น JSONB
+CREATE TABLE IF NOT EXISTS product_subcategories (
+  id SERIAL PRIMARY KEY,
+  category_id INT NOT NULL REFERENCES product_categories(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  slug VARCHAR(255) NOT NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (category_id, slug)
+);
+CREATE INDEX IF NOT EXISTS idx_product_subcategories_category ON product_subcategories (category_id, sort_order);
+
+-- ลบหมวดหมู่ที่ยังมีรายการอ้างอิงอยู่ไม่ได้ (ลบหมวดหมู่ย่อยแล้วสินค้าไม่มีหมวดหมู่ย่อย)
+ALTER TABLE products ADD COLUMN IF NOT EXISTS category_id INT REFERENCES product_categories(id) ON DELETE RESTRICT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS subcategory_id INT REFERENCES product_subcategories(id) ON DELETE SET NULL;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS category_id INT REFERENCES service_categories(id) ON DELETE RESTRICT;
+
+-- ค่าข้อความเดิมที่ไม่ตรงกับ slug/title ของหมวดหมู่ใด จะถูกสร้างเป็นหมวดหมู่ใหม่ (สินค้าที่ไม่มีหมวดหมู่ไปอยู่ใน "Uncategorized")
+-- slug ที่ชนกับแถวเดิม หรือชนกันเองระหว่างชื่อใหม่ที่แปลงแล้วได้ slug เดียวกัน (เช่น "A B" กับ "A-B") ต่อท้ายด้วย id
+-- ชื่อที่มีแต่เครื่องหมาย (slug ว่าง) ใช้ "category-<id>" แทน
+UPDATE products SET category = 'Uncategorized' WHERE trim(coalesce(category, '')) = '';
+
+INSERT INTO product_categories (id, title, slug)
+SELECT v.id, v.title,
+  CASE WHEN v.slug = '' THEN 'category-' || v.id
+       WHEN v.dup > 1 OR EXISTS (SELECT 1 FROM product_categories c WHERE c.slug = v.slug) THEN v.slug || '-' || v.id
+       ELSE v.slug END
+FROM (
+  SELECT nextval(pg_get_serial_sequence('product_categories', 'id')) AS id, n.title, n.slug,
+    row_number() OVER (PARTITION BY n.slug ORDER BY n.title) AS dup
+  FROM (
+    SELECT DISTINCT ON (lower(trim(p.category))) trim(p.category) AS title,
+      trim(both '-' from regexp_replace(lower(trim(p.category)), '[\s/?#]+', '-', 'g')) AS slug
+    FROM products p
+    WHERE NOT EXISTS (
+      SELECT 1 FROM product_categories c WHERE lower(c.slug) = lower(trim(p.category)) OR lower(c.title) = lower(trim(p.category))
+    )
+  ) n
+) v;
+
+INSERT INTO service_categories (id, title, slug)
+SELECT v.id, v.title,
+  CASE WHEN v.slug = '' THEN 'category-' || v.id
+       WHEN v.dup > 1 OR EXISTS (SELECT 1 FROM service_categories c WHERE c.slug = v.slug) THEN v.slug || '-' || v.id
+       ELSE v.slug END
+FROM (
+  SELECT nextval(pg_get_serial_sequence('service_categories', 'id')) AS id, n.title, n.slug,
+    row_number() OVER (PARTITION BY n.slug ORDER BY n.title) AS dup
+  FROM (
+    SELECT DISTINCT ON (lower(trim(s.category))) trim(s.category) AS title,
+      trim(both '-' from regexp_replace(lower(trim(s.category)), '[\s/?#]+', '-', 'g')) AS slug
+    FROM services s
+    WHERE trim(coalesce(s.category, '')) <> '' AND NOT EXISTS (
+      SELECT 1 FROM service_categories c WHERE lower(c.slug) = lower(trim(s.category)) OR lower(c.title) = lower(trim(s.category))
+    )
+  ) n
+) v;
+
+-- ถ้าจับคู่ได้หลายหมวดหมู่ เลือกที่ชื่อตรงกันทุกตัวอักษร แล้วจึงที่ slug ตรง, ไม่อยู่ในถังขยะ และสร้างก่อน
+UPDATE products p SET category_id = (
+  SELECT c.id FROM product_categories c
+  WHERE lower(c.slug) = lower(trim(p.category)) OR lower(c.title) = lower(trim(p.category))
+  ORDER BY (c.title = trim(p.category)) DESC, (lower(c.slug) = lower(trim(p.category))) DESC, c.deleted_at IS NOT NULL, c.id
+  LIMIT 1
+);
+
+UPDATE services s SET category_id = (
+  SELECT c.id FROM service_categories c
+  WHERE lower(c.slug) = lower(trim(s.category)) OR lower(c.title) = lower(trim(s.category))
+  ORDER BY (c.title = trim(s.category)) DESC, (lower(c.slug) = lower(trim(s.category))) DESC, c.deleted_at IS NOT NULL, c.id
+  LIMIT 1
+)
+WHERE trim(coalesce(s.category, '')) <> '';
+
+-- หมวดหมู่ย่อย: จาก product_categories.subcategories (string หรือ object ที่มี title/name/label) และจากค่าที่สินค้าใช้อยู่
+-- slug ไม่ซ้ำภายในหมวดหมู่เดียวกัน ใช้กติกาเดียวกับหมวดหมู่ด้านบน ("subcategory-<id>" เมื่อ slug ว่าง)
+INSERT INTO product_subcategories (id, category_id, title, slug, sort_order)
+SELECT v.id, v.category_id, v.title,
+  CASE WHEN v.slug = '' THEN 'subcategory-' || v.id
+       WHEN v.dup > 1 THEN v.slug || '-' || v.id
+       ELSE v.slug END,
+  v.sort_order
+FROM (
+  SELECT nextval(pg_get_serial_sequence('product_subcategories', 'id')) AS id, n.category_id, n.title, n.slug, n.sort_order,
+    row_number() OVER (PARTITION BY n.category_id, n.slug ORDER BY n.sort_order, n.title) AS dup
+  FROM (
+    SELECT DISTINCT ON (x.category_id, lower(x.title)) x.category_id, x.title, x.sort_order,
+      trim(both '-' from regexp_replace(lower(x.title), '[\s/?#]+', '-', 'g')) AS slug
+    FROM (
+      SELECT c.id AS category_id,
+        trim(CASE WHEN jsonb_typeof(e.item) = 'string' THEN e.item #>> '{}'
+                  ELSE COALESCE(e.item->>'title', e.item->>'name', e.item->>'label') END) AS title,
+        (e.pos - 1)::int AS sort_order
+      FROM product_categories c,
+        jsonb_array_elements(CASE WHEN jsonb_typeof(c.subcategories) = 'array' THEN c.subcategories ELSE '[]'::jsonb END)
+          WITH ORDINALITY AS e(item, pos)
+      UNION ALL
+      SELECT p.category_id, trim(p.subcategory), 1000
+      FROM products p
+    ) x
+    WHERE coalesce(x.title, '') <> ''
+    ORDER BY x.category_id, lower(x.title), x.sort_order
+  ) n
+) v;
+
+UPDATE products p SET subcategory_id = (
+  SELECT s.id FROM product_subcategories s WHERE s.category_id = p.category_id AND lower(s.title) = lower(trim(p.subcategory))
+)
+WHERE trim(coalesce(p.subcategory, '')) <> '';
+
+ALTER TABLE products ALTER COLUMN category_id SET NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_products_category ON products (category_id, subcategory_id);
+CREATE INDEX IF NOT EXISTS idx_services_category ON services (category_id);
+
+ALTER TABLE products DROP COLUMN IF EXISTS category;
+ALTER TABLE products DROP COLUMN IF EXISTS subcategory;
+ALTER TABLE services DROP COLUMN IF EXISTS category;
+ALTER TABLE product_categories DROP COLUMN IF EXISTS subcategories;
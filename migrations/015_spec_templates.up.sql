@@ -0,0 +1,3 @@
+-- template ของ specifications ต่อหมวดหมู่สินค้า: [{ "key", "label", "type", "unit", "required", "options" }]
+-- หมวดหมู่ที่ไม่มี template (ค่าเริ่มต้น) รับ specifications แบบอิสระเหมือนเดิม
+ALTER TABLE product_categories ADD COLUMN IF NOT EXISTS spec_template JSONB NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,5 @@
+DROP TRIGGER IF EXISTS trg_news_related ON public.news;
+DROP TRIGGER IF EXISTS trg_services_related ON services;
+DROP TRIGGER IF EXISTS trg_products_related ON products;
+DROP FUNCTION IF EXISTS public.delete_related_items();
+DROP TABLE IF EXISTS related_items;
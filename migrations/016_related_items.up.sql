@@ -0,0 +1,32 @@
+-- ความเชื่อมโยงระหว่าง products / services / news (ไม่มีทิศทาง: แถวเดียวแสดงผลทั้งสองฝั่ง)
+CREATE TABLE IF NOT EXISTS related_items (
+  id BIGSERIAL PRIMARY KEY,
+  source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('products', 'services', 'news')),
+  source_id BIGINT NOT NULL,
+  target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('products', 'services', 'news')),
+  target_id BIGINT NOT NULL,
+  created_by INT REFERENCES admin_users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (source_type, source_id, target_type, target_id),
+  CHECK (source_type <> target_type OR source_id <> target_id)
+);
+CREATE INDEX IF NOT EXISTS idx_related_items_target ON related_items (target_type, target_id);
+
+-- อ้างอิงได้หลายตารางจึงใช้ foreign key ไม่ได้ ลบ link เมื่อแถวถูกลบถาวรด้วย trigger แทน
+CREATE OR REPLACE FUNCTION public.delete_related_items()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  DELETE FROM related_items
+  WHERE (source_type = TG_ARGV[0] AND source_id = OLD.id) OR (target_type = TG_ARGV[0] AND target_id = OLD.id);
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_products_related ON products;
+CREATE TRIGGER trg_products_related AFTER DELETE ON products FOR EACH ROW EXECUTE FUNCTION public.delete_related_items('products');
+DROP TRIGGER IF EXISTS trg_services_related ON services;
+CREATE TRIGGER trg_services_related AFTER DELETE ON services FOR EACH ROW EXECUTE FUNCTION public.delete_related_items('services');
+DROP TRIGGER IF EXISTS trg_news_related ON public.news;
+CREATE TRIGGER trg_news_related AFTER DELETE ON public.news FOR EACH ROW EXECUTE FUNCTION public.delete_related_items('news');
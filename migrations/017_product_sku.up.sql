@@ -0,0 +1,3 @@
+-- รหัสสินค้า (SKU) ใช้จับคู่แถวตอน import ไฟล์ CSV/XLSX, ไม่บังคับ แต่ถ้ามีต้องไม่ซ้ำกัน (รวมสินค้าในถังขยะ)
+ALTER TABLE products ADD COLUMN IF NOT EXISTS sku VARCHAR(100);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_sku ON products (sku) WHERE sku IS NOT NULL;
@@ -2,10 +2,16 @@ import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import jwt from "jsonwebtoken";
+import bcrypt from "bcrypt";
 import { Pool } from "pg";
 import multer from "multer";
+import sharp from "sharp";
+import { z } from "zod";
+import { migrationStatus } from "./migrate.js";
+import { storageFromEnv, MEDIA_REFERENCES } from "./storage.js";
+import { readSheet, writeSheet, sheetFormatOf, SHEET_FORMATS } from "./spreadsheet.js";
 import path from "path";
-import fs from "fs";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
 
 // 1. ตั้งค่าพื้นฐาน
@@ -13,6 +19,12 @@ dotenv.config();
 const app = express();
 app.use(express.json({ limit: "10mb" }));
 
+// ถ้ารันหลัง reverse proxy ให้ตั้ง TRUST_PROXY (เช่น "1" หรือ "loopback") เพื่อให้ req.ip เป็น IP จริงของ client
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set("trust proxy", trust === "true" ? true : /^\d+$/.test(trust) ? Number(trust) : trust);
+}
+
 // 2. ตั้งค่า CORS
 app.use(
   cors({
@@ -29,573 +41,3138 @@ const pool = new Pool({
 
 const JWT_SECRET = process.env.JWT_SECRET || "secret";
 const PORT = Number(process.env.PORT || 4000);
+const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS || 10);
+const ACCESS_TOKEN_TTL = Number(process.env.ACCESS_TOKEN_TTL || 900); // วินาที
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// ป้องกันการเดารหัสผ่าน (นับความล้มเหลวแยกตาม username และ IP)
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES || 5);
+const LOGIN_IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES || 20);
+const LOGIN_FAILURE_WINDOW_MINUTES = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES || 15);
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+const LOGIN_DELAY_MS = Number(process.env.LOGIN_DELAY_MS || 250);
+const LOGIN_MAX_DELAY_MS = Number(process.env.LOGIN_MAX_DELAY_MS || 5000);
+const LIST_DEFAULT_LIMIT = Number(process.env.LIST_DEFAULT_LIMIT || 50);
+const LIST_MAX_LIMIT = Number(process.env.LIST_MAX_LIMIT || 200);
+const SLUG_TRANSLITERATE = process.env.SLUG_TRANSLITERATE !== "false";
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+// ไฟล์ที่ไม่มีใครอ้างอิงนานเกินนี้ถือเป็นไฟล์กำพร้า, ตั้ง MEDIA_ORPHAN_CLEANUP=true เพื่อลบอัตโนมัติทุกชั่วโมง
+const MEDIA_ORPHAN_GRACE_HOURS = Number(process.env.MEDIA_ORPHAN_GRACE_HOURS || 24);
+const MEDIA_ORPHAN_CLEANUP = process.env.MEDIA_ORPHAN_CLEANUP === "true";
+const ADMIN_DEFAULT_PASSWORD = process.env.ADMIN_DEFAULT_PASSWORD;
+
+// --- สร้าง admin เริ่มต้น (เก็บเป็น bcrypt hash เสมอ) ---
+// โครงสร้างตารางทั้งหมดอยู่ใน migrations/ (รันด้วย npm run migrate -- up)
+// สร้างเฉพาะตอนที่ยังไม่มีผู้ใช้เลย (ลบ admin ทิ้งแล้ว restart จะไม่ได้ admin กลับมา) และต้องตั้ง ADMIN_DEFAULT_PASSWORD เอง
+async function ensureDefaultAdmin() {
+  const { rows } = await pool.query("SELECT EXISTS (SELECT 1 FROM admin_users) AS seeded");
+  if (rows[0].seeded) return;
+  if (!ADMIN_DEFAULT_PASSWORD) {
+    console.error("❌ No admin users exist and ADMIN_DEFAULT_PASSWORD is not set. Set it and restart to create the first admin");
+    return;
+  }
+  const hash = await bcrypt.hash(ADMIN_DEFAULT_PASSWORD, BCRYPT_ROUNDS);
+  const created = await pool.query(
+    `INSERT INTO admin_users (username, password_hash, role)
+     SELECT 'admin', $1, 'admin' WHERE NOT EXISTS (SELECT 1 FROM admin_users)
+     ON CONFLICT (username) DO NOTHING`,
+    [hash]
+  );
+  if (created.rowCount) console.log("✅ Created default admin user \"admin\"");
+}
+
+// 4. ตั้งค่า Upload
+const __filename = fileURLToPath(import.meta.url);
+// ที่เก็บไฟล์: STORAGE_DRIVER=local ใช้ UPLOAD_DIR, STORAGE_DRIVER=s3 ใช้ S3_* (ดู storage.js)
+const storage = storageFromEnv();
+
+// ไฟล์ที่รู้จัก: นามสกุล, MIME และ magic bytes ที่ต้องขึ้นต้นไฟล์ (offset = ตำแหน่งเริ่มของ signature)
+// format = ชื่อ format ของ sharp (มีเฉพาะไฟล์ภาพที่ย่อขนาดได้)
+const FILE_TYPES = {
+  jpg: { mime: "image/jpeg", exts: [".jpg", ".jpeg"], format: "jpeg", signatures: [{ bytes: [0xff, 0xd8, 0xff] }] },
+  png: { mime: "image/png", exts: [".png"], format: "png", signatures: [{ bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }] },
+  gif: { mime: "image/gif", exts: [".gif"], format: "gif", signatures: [{ bytes: [...Buffer.from("GIF87a")] }, { bytes: [...Buffer.from("GIF89a")] }] },
+  webp: { mime: "image/webp", exts: [".webp"], format: "webp", signatures: [{ bytes: [...Buffer.from("RIFF")] }, { offset: 8, bytes: [...Buffer.from("WEBP")] }], all: true },
+  pdf: { mime: "application/pdf", exts: [".pdf"], signatures: [{ bytes: [...Buffer.from("%PDF-")] }] },
+};
+
+const envList = (name, fallback) => (process.env[name] || fallback).split(",").map((v) => v.trim().toLowerCase()).filter((v) => FILE_TYPES[v]);
+
+// ชนิดไฟล์และขนาดสูงสุดตามจุดประสงค์ของการอัปโหลด (?purpose=image|document)
+const UPLOAD_PURPOSES = {
+  image: {
+    types: envList("UPLOAD_IMAGE_TYPES", "jpg,png,gif,webp"),
+    maxBytes: Number(process.env.UPLOAD_IMAGE_MAX_MB || 10) * 1024 * 1024,
+  },
+  document: {
+    types: envList("UPLOAD_DOCUMENT_TYPES", "pdf"),
+    maxBytes: Number(process.env.UPLOAD_DOCUMENT_MAX_MB || 20) * 1024 * 1024,
+  },
+};
+// จำนวนไฟล์สูงสุดต่อครั้งของ POST /api/upload/multiple
+const UPLOAD_MAX_FILES = Number(process.env.UPLOAD_MAX_FILES || 20);
+const SERVABLE_EXTS = new Set(Object.values(FILE_TYPES).flatMap((t) => t.exts));
+
+// ขนาดภาพย่อที่สร้างตอนอัปโหลด (ความกว้างสูงสุด px)
+const IMAGE_VARIANTS = { thumbnail: 320, medium: 800, large: 1600 };
+const IMAGE_QUALITY = Number(process.env.IMAGE_QUALITY || 82);
+
+// ย่อภาพตอนเรียก /uploads/<file>?w=400 ได้เฉพาะความกว้างในรายการนี้ (ค่าอื่นจะปัดขึ้น) เพื่อไม่ให้ cache โตไม่จำกัด
+const RESIZE_WIDTHS = (process.env.RESIZE_WIDTHS || "160,320,480,640,800,1024,1280,1600,1920")
+  .split(",")
+  .map(Number)
+  .filter((w) => w > 0)
+  .sort((a, b) => a - b);
+
+// ชื่อไฟล์ที่ saveUpload สร้าง (<timestamp>-<สุ่ม 16 hex>[-<ภาพย่อ>].ext) ไม่มีวันถูกเขียนทับ จึง cache แบบ immutable ได้
+// ไฟล์อื่น (เช่นไฟล์เดิมก่อนมี media library) ให้ browser ตรวจซ้ำด้วย ETag/Last-Modified ทุกครั้ง
+const IMMUTABLE_UPLOAD = /^\d+-[0-9a-f]{16}(-[a-z]+)?\.[a-z0-9]+$/i;
+
+// ไฟล์เก่าที่ไม่ใช่ชนิดที่อนุญาต (เช่น .html, .svg) จะถูกส่งเป็น attachment แทนการแสดงผลในเบราว์เซอร์
+// name = ชื่อไฟล์ต้นฉบับ (ใช้ตัดสิน Cache-Control และชนิดไฟล์)
+function setUploadHeaders(res, name, contentType = SERVABLE_EXTS.has(path.extname(name).toLowerCase()) ? FILE_TYPES[fileTypeOf(name)].mime : null) {
+  res.setHeader("Content-Type", contentType || "application/octet-stream");
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("Cache-Control", IMMUTABLE_UPLOAD.test(path.basename(name)) ? "public, max-age=31536000, immutable" : "public, max-age=0");
+  if (!contentType) {
+    res.setHeader("Content-Disposition", "attachment");
+    res.setHeader("Content-Security-Policy", "default-src 'none'");
+  }
+}
+
+// ส่งไฟล์จาก storage ที่ไม่ใช่ local (s3 ที่ไม่มี S3_PUBLIC_URL) และภาพที่ย่อแล้ว
+function sendUpload(req, res, name, file, contentType) {
+  setUploadHeaders(res, name, contentType);
+  if (file.lastModified) res.setHeader("Last-Modified", new Date(file.lastModified).toUTCString());
+  if (file.etag) res.setHeader("ETag", file.etag);
+  if (req.fresh) {
+    if (typeof file.body?.destroy === "function") file.body.destroy();
+    return res.status(304).end();
+  }
+  if (file.size != null) res.setHeader("Content-Length", file.size);
+  if (Buffer.isBuffer(file.body)) return res.end(file.body);
+  file.body.on("error", () => res.destroy()).pipe(res);
+}
+
+// GET /uploads/<file>?w=400&format=webp = ย่อภาพ และเก็บผลไว้ใน storage ที่ .cache/
+// ไม่มี ?w / ?format ส่งต่อให้ route ถัดไป (express.static สำหรับ local)
+app.get("/uploads/:file", async (req, res, next) => {
+  const file = req.params.file;
+  const type = fileTypeOf(file);
+  const { w, format } = req.query;
+  if (file.startsWith(".") || (w === undefined && format === undefined) || !FILE_TYPES[type]?.format) return next();
+
+  try {
+    if (format !== undefined && format !== "webp") return res.status(400).json({ message: "format must be webp" });
+    if (w !== undefined && !/^\d+$/.test(w)) return res.status(400).json({ message: "w must be a positive integer" });
+
+    const width = w === undefined ? null : RESIZE_WIDTHS.find((size) => size >= Number(w)) ?? RESIZE_WIDTHS.at(-1);
+    const outType = format || type;
+    // ใส่นามสกุลเดิมไว้ใน key ด้วย ไม่งั้น a.jpg กับ a.png ที่ขอ format=webp จะใช้ cache เดียวกัน
+    const cacheKey = `.cache/${file}-w${width ?? "full"}${FILE_TYPES[outType].exts[0]}`;
+
+    const cached = await storage.get(cacheKey);
+    if (cached) return sendUpload(req, res, file, cached, FILE_TYPES[outType].mime);
+
+    const source = await storage.read(file);
+    if (!source) return next();
+    let image = sharp(source, { animated: type === "gif" || type === "webp" }).rotate();
+    if (width) image = image.resize({ width, withoutEnlargement: true });
+    const data = await image.toFormat(FILE_TYPES[outType].format, { quality: IMAGE_QUALITY }).toBuffer();
+    await storage.put(cacheKey, data, { contentType: FILE_TYPES[outType].mime, overwrite: true });
+    sendUpload(req, res, file, { body: data, size: data.length }, FILE_TYPES[outType].mime);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// local: express.static รองรับ Range, ETag/If-None-Match และโฟลเดอร์ย่อย (ไม่ส่งไฟล์/โฟลเดอร์ที่ขึ้นต้นด้วย . เช่น .cache)
+// s3: อ่านผ่าน storage (ใช้เมื่อไม่ได้ตั้ง S3_PUBLIC_URL)
+if (storage.dir) {
+  app.use("/uploads", express.static(storage.dir, { dotfiles: "ignore", index: false, redirect: false, setHeaders: (res, file) => setUploadHeaders(res, file) }));
+} else {
+  app.get("/uploads/*", async (req, res, next) => {
+    const key = req.params[0];
+    if (key.split("/").some((part) => !part || part.startsWith("."))) return next();
+    try {
+      const stored = await storage.get(key);
+      if (!stored) return next();
+      sendUpload(req, res, key, stored);
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+}
+
+class UploadError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// เก็บไฟล์ไว้ในหน่วยความจำก่อน เพื่อตรวจ magic bytes ก่อนเขียนลงดิสก์
+// multer แยกตาม purpose เพื่อให้ตัดไฟล์ที่เกินขนาดของ purpose นั้นตั้งแต่ตอนรับข้อมูล (ไม่ต้องรับไฟล์ 20 MB เข้าหน่วยความจำก่อนตรวจ)
+const uploaders = Object.fromEntries(
+  Object.entries(UPLOAD_PURPOSES).map(([name, purpose]) => [
+    name,
+    multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: purpose.maxBytes, files: UPLOAD_MAX_FILES },
+      fileFilter: (req, file, cb) => {
+        // บาง client ส่ง MIME เป็น application/octet-stream เสมอ จึงยอมรับได้ (เนื้อไฟล์ถูกตรวจอีกครั้งใน saveUpload)
+        const type = fileTypeOf(file.originalname);
+        const mimeOk = type && (FILE_TYPES[type].mime === file.mimetype || file.mimetype === "application/octet-stream");
+        if (!purpose.types.includes(type) || !mimeOk) {
+          const exts = purpose.types.flatMap((t) => FILE_TYPES[t].exts).join(", ");
+          return cb(new UploadError(400, `File type not allowed. Allowed: ${exts}`));
+        }
+        cb(null, true);
+      },
+    }),
+  ])
+);
+
+function fileTypeOf(filename) {
+  const ext = path.extname(filename).toLowerCase();
+  return Object.keys(FILE_TYPES).find((key) => FILE_TYPES[key].exts.includes(ext));
+}
+
+function sniffFileType(buffer) {
+  return Object.keys(FILE_TYPES).find((key) => {
+    const { signatures, all } = FILE_TYPES[key];
+    const matches = signatures.map(({ offset = 0, bytes }) => bytes.every((b, i) => buffer[offset + i] === b));
+    return all ? matches.every(Boolean) : matches.some(Boolean);
+  });
+}
+
+// อ่านขนาดภาพจาก header ของไฟล์ (ไม่ต้อง decode ทั้งภาพ)
+function imageDimensions(buffer, type) {
+  try {
+    if (type === "png") return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    if (type === "gif") return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    if (type === "webp") {
+      const chunk = buffer.toString("ascii", 12, 16);
+      if (chunk === "VP8 ") return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+      if (chunk === "VP8L") {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      if (chunk === "VP8X") return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    if (type === "jpg") {
+      let offset = 2;
+      while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff || buffer[offset + 1] === 0xff) {
+          offset++;
+          continue;
+        }
+        const marker = buffer[offset + 1];
+        // SOF0..SOF15 ยกเว้น DHT (C4), JPG (C8), DAC (CC)
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+    }
+  } catch {
+    // header ไม่สมบูรณ์
+  }
+  return { width: null, height: null };
+}
+
+// หมุนภาพตาม EXIF orientation แล้วเข้ารหัสใหม่ (sharp ไม่คัดลอก metadata เช่น EXIF/GPS ไปยังไฟล์ใหม่)
+// สร้างภาพย่อตาม IMAGE_VARIANTS และไฟล์ .webp ของทุกขนาด
+async function processImage(buffer, type, stem) {
+  const { format, exts } = FILE_TYPES[type];
+  const animated = type === "gif" || type === "webp";
+  const write = (name, data, fileType = type) => storage.put(name, data, { contentType: FILE_TYPES[fileType].mime });
+
+  let original;
+  try {
+    original = await sharp(buffer, { animated }).rotate().toFormat(format, { quality: IMAGE_QUALITY }).toBuffer({ resolveWithObject: true });
+  } catch {
+    throw new UploadError(400, "Invalid or corrupted image");
+  }
+  const { width, height } = original.info;
+  const pageHeight = original.info.pageHeight ?? height;
+
+  // ต้นฉบับที่เป็น .webp อยู่แล้วใช้ไฟล์เดิมเป็น webp
+  const variants = { webp: storage.urlFor(`${stem}.webp`) };
+  if (type !== "webp") {
+    await write(`${stem}.webp`, await sharp(original.data, { animated }).webp({ quality: IMAGE_QUALITY }).toBuffer(), "webp");
+  }
+
+  for (const [name, maxWidth] of Object.entries(IMAGE_VARIANTS)) {
+    // ภาพที่เล็กกว่าขนาดนี้อยู่แล้วใช้ไฟล์ต้นฉบับแทน
+    if (width <= maxWidth) {
+      variants[name] = { url: storage.urlFor(`${stem}${exts[0]}`), webp_url: variants.webp, width, height: pageHeight };
+      continue;
+    }
+    const resized = sharp(original.data, { animated }).resize({ width: maxWidth });
+    const main = await resized.clone().toFormat(format, { quality: IMAGE_QUALITY }).toBuffer({ resolveWithObject: true });
+    await write(`${stem}-${name}${exts[0]}`, main.data);
+    const entry = { url: storage.urlFor(`${stem}-${name}${exts[0]}`), width: main.info.width, height: main.info.pageHeight ?? main.info.height };
+    if (type === "webp") {
+      entry.webp_url = entry.url;
+    } else {
+      await write(`${stem}-${name}.webp`, await resized.clone().webp({ quality: IMAGE_QUALITY }).toBuffer(), "webp");
+      entry.webp_url = storage.urlFor(`${stem}-${name}.webp`);
+    }
+    variants[name] = entry;
+  }
+
+  return { buffer: original.data, width, height: pageHeight, variants };
+}
+
+// ชื่อไฟล์ทั้งหมดของ media หนึ่งรายการ (ต้นฉบับ + ภาพย่อ/WebP)
+function mediaFiles(row) {
+  const urls = Object.values(row.variants || {}).flatMap((v) => (typeof v === "string" ? [v] : [v.url, v.webp_url]));
+  return [...new Set([row.filename, ...urls.map((u) => path.basename(u))])];
+}
 
-// --- ฟังก์ชันสร้างตารางอัตโนมัติ (ปรับให้ตรงกับ DB จริง โดยเฉพาะ news) ---
-async function initDB() {
-  const createTablesQuery = `
-    -- Helper function for updated_at (ถ้ามีอยู่แล้วจะไม่ทับ)
-    CREATE OR REPLACE FUNCTION public.set_updated_at()
-    RETURNS trigger
-    LANGUAGE plpgsql
-    AS $$
-    BEGIN
-      NEW.updated_at = now();
-      RETURN NEW;
-    END;
-    $$;
-
-    CREATE TABLE IF NOT EXISTS admin_users (
-      id SERIAL PRIMARY KEY,
-      username VARCHAR(50) UNIQUE NOT NULL,
-      password_hash TEXT NOT NULL,
-      role VARCHAR(20) DEFAULT 'admin'
+// ตรวจไฟล์ที่ multer รับมาแล้วบันทึกลง storage ด้วยชื่อที่สุ่มใหม่ (นามสกุลตามชนิดไฟล์จริง)
+async function saveUpload(file, purposeName = "image") {
+  const purpose = UPLOAD_PURPOSES[purposeName];
+  if (file.size > purpose.maxBytes) {
+    throw new UploadError(413, `File too large. Max ${Math.floor(purpose.maxBytes / 1024 / 1024)} MB for ${purposeName}`);
+  }
+
+  const type = sniffFileType(file.buffer);
+  if (!type || !purpose.types.includes(type) || type !== fileTypeOf(file.originalname)) {
+    throw new UploadError(400, "File content does not match its type");
+  }
+
+  const stem = `${Date.now()}-${crypto.randomBytes(8).toString("hex")}`;
+  const filename = `${stem}${FILE_TYPES[type].exts[0]}`;
+  const image = FILE_TYPES[type].format ? await processImage(file.buffer, type, stem) : null;
+  const buffer = image?.buffer ?? file.buffer;
+
+  // storage.put ไม่เขียนทับไฟล์ที่มีอยู่แล้ว
+  await storage.put(filename, buffer, { contentType: FILE_TYPES[type].mime });
+  return {
+    filename,
+    url: storage.urlFor(filename),
+    mimetype: FILE_TYPES[type].mime,
+    size: buffer.length,
+    width: image?.width ?? null,
+    height: image?.height ?? null,
+    variants: image?.variants ?? {},
+  };
+}
+
+// แปลง error ของ multer เป็น 400/413 แทน error 500
+function handleUploadErrors(handler, { maxBytes }) {
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (!err) return next();
+      if (err instanceof multer.MulterError) {
+        if (err.code === "LIMIT_FILE_SIZE") {
+          return res.status(413).json({ message: `File too large. Max ${Math.floor(maxBytes / 1024 / 1024)} MB` });
+        }
+        if (err.code === "LIMIT_FILE_COUNT") {
+          return res.status(400).json({ message: `Too many files. Max ${UPLOAD_MAX_FILES} per request`, code: err.code });
+        }
+        return res.status(400).json({ message: err.message, code: err.code });
+      }
+      if (err instanceof UploadError) return res.status(err.status).json({ message: err.message });
+      next(err);
+    });
+  };
+}
+
+// เลือก multer ตาม ?purpose=image|document ก่อนเริ่มรับไฟล์
+function uploadFor(pick) {
+  return (req, res, next) => {
+    const name = req.query.purpose || "image";
+    if (!Object.hasOwn(UPLOAD_PURPOSES, name)) return res.status(400).json({ message: `Unknown upload purpose: ${name}` });
+    handleUploadErrors(pick(uploaders[name]), { maxBytes: UPLOAD_PURPOSES[name].maxBytes })(req, res, next);
+  };
+}
+
+const uploadSingle = (field) => uploadFor((uploader) => uploader.single(field));
+const uploadArray = (field) => uploadFor((uploader) => uploader.array(field, UPLOAD_MAX_FILES));
+
+// ไฟล์ CSV/XLSX สำหรับ import ไม่ได้เก็บลง storage (อ่านจากหน่วยความจำแล้วทิ้ง)
+const IMPORT_MAX_BYTES = Number(process.env.IMPORT_MAX_MB || 10) * 1024 * 1024;
+const importUpload = handleUploadErrors(
+  multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_MAX_BYTES, files: 1 } }).single("file"),
+  { maxBytes: IMPORT_MAX_BYTES }
+);
+
+// 5. Middleware
+// access token อายุสั้น ต้องมี session (sid) ที่ยังไม่ถูก revoke และผู้ใช้ยังเปิดใช้งานอยู่
+async function authRequired(req, res, next) {
+  const token = req.headers.authorization?.split(" ")[1];
+  if (!token) return res.status(401).json({ message: "No Token" });
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch {
+    return res.status(401).json({ message: "Invalid Token" });
+  }
+  if (!payload.sid) return res.status(401).json({ message: "Invalid Token" });
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT u.id, u.username, u.role, u.is_active, s.revoked_at, s.expires_at
+       FROM admin_sessions s JOIN admin_users u ON u.id = s.user_id
+       WHERE s.id=$1 AND s.user_id=$2`,
+      [payload.sid, payload.id]
     );
+    const session = rows[0];
+    if (!session || session.revoked_at || session.expires_at < new Date() || !session.is_active) {
+      return res.status(401).json({ message: "Session revoked" });
+    }
+    // ใช้ role ล่าสุดจาก DB เพื่อให้การเปลี่ยนสิทธิ์มีผลทันที
+    req.user = { id: session.id, username: session.username, role: session.role, sid: payload.sid };
+    next();
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+}
+
+// --- สิทธิ์การใช้งานตาม role ---
+// รูปแบบ permission คือ "<resource>:<action>" เช่น "news:create"
+// "*" = ทุกสิทธิ์, "<resource>:*" = ทุก action ของ resource นั้น
+const CONTENT_RESOURCES = [
+  "product-categories",
+  "service-categories",
+  "products",
+  "services",
+  "news",
+  "certifications",
+  "customer-logos",
+  "partner-logos",
+];
+
+const ROLE_PERMISSIONS = {
+  admin: ["*"],
+  "content-manager": [
+    ...CONTENT_RESOURCES.map((r) => `${r}:*`),
+    "contact:update",
+    "warranty:update",
+    "uploads:create",
+    "media:*",
+  ],
+  editor: [
+    "news:read", "news:create", "news:update",
+    "products:read", "products:update",
+    "services:read", "services:update",
+    "uploads:create",
+    "media:read",
+  ],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function hasPermission(role, permission) {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  const [resource] = permission.split(":");
+  return granted.includes("*") || granted.includes(permission) || granted.includes(`${resource}:*`);
+}
+
+function permissionsOf(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+// ใช้ต่อจาก authRequired เสมอ
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user?.role, permission)) {
+      return res.status(403).json({ message: `Missing permission: ${permission}`, permission });
+    }
+    next();
+  };
+}
+
+// 6. Helper Functions
+function escapeLike(term) {
+  return term.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+// --- Slug ---
+// ถอดอักษรไทยเป็นอักษรโรมันแบบง่าย (ตัวต่อตัว ไม่ได้แยกพยางค์ตามหลักราชบัณฑิตฯ) เพื่อให้ URL เป็น ASCII
+const THAI_TRANSLIT = {
+  ก: "k", ข: "kh", ฃ: "kh", ค: "kh", ฅ: "kh", ฆ: "kh", ง: "ng", จ: "ch", ฉ: "ch", ช: "ch", ซ: "s", ฌ: "ch",
+  ญ: "y", ฎ: "d", ฏ: "t", ฐ: "th", ฑ: "th", ฒ: "th", ณ: "n", ด: "d", ต: "t", ถ: "th", ท: "th", ธ: "th",
+  น: "n", บ: "b", ป: "p", ผ: "ph", ฝ: "f", พ: "ph", ฟ: "f", ภ: "ph", ม: "m", ย: "y", ร: "r", ฤ: "rue",
+  ล: "l", ฦ: "lue", ว: "w", ศ: "s", ษ: "s", ส: "s", ห: "h", ฬ: "l", อ: "o", ฮ: "h",
+  "ะ": "a", "ั": "a", "า": "a", "ำ": "am", "ิ": "i", "ี": "i", "ึ": "ue", "ื": "ue", "ุ": "u", "ู": "u",
+  เ: "e", แ: "ae", โ: "o", ใ: "ai", ไ: "ai",
+  "๐": "0", "๑": "1", "๒": "2", "๓": "3", "๔": "4", "๕": "5", "๖": "6", "๗": "7", "๘": "8", "๙": "9",
+};
+const THAI_LEADING_VOWELS = new Set(["เ", "แ", "โ", "ใ", "ไ"]);
+
+function transliterateThai(text) {
+  const chars = [...text];
+  const out = [];
+  for (let i = 0; i < chars.length; i++) {
+    const c = chars[i];
+    // สระหน้า (เ แ โ ใ ไ) ออกเสียงหลังพยัญชนะตัวถัดไป
+    if (THAI_LEADING_VOWELS.has(c) && THAI_TRANSLIT[chars[i + 1]]) {
+      out.push(THAI_TRANSLIT[chars[i + 1]], THAI_TRANSLIT[c]);
+      i++;
+    } else if (c === "์") {
+      out.pop(); // ตัวการันต์ไม่ออกเสียง
+    } else if (/[\u0E00-\u0E7F]/.test(c)) {
+      out.push(THAI_TRANSLIT[c] ?? ""); // วรรณยุกต์และเครื่องหมายอื่นตัดทิ้ง
+    } else {
+      out.push(c);
+    }
+  }
+  return out.join("");
+}
+
+// แปลงข้อความเป็น slug: ตัวอักษร/ตัวเลขคั่นด้วย "-" ไม่มีเครื่องหมายวรรคตอน
+function slugify(text) {
+  let value = String(text || "").normalize("NFKC").toLowerCase();
+  if (SLUG_TRANSLITERATE) value = transliterateThai(value).normalize("NFKD").replace(/\p{M}+/gu, "");
+  return value
+    .replace(/[^\p{L}\p{N}\p{M}]+/gu, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 200)
+    .replace(/-+$/, "");
+}
+
+// หา slug ที่ยังไม่ถูกใช้ (รวม slug เก่าใน slug_history) โดยต่อท้าย -2, -3, ...
+// scope = { column, value } สำหรับตารางที่ slug ไม่ซ้ำเฉพาะในกลุ่ม เช่น product_subcategories ต่อ category_id
+async function uniqueSlug(table, source, excludeId = null, { db = pool, scope = null } = {}) {
+  const base = slugify(source) || "item";
+  const tableName = table.replace(/^public\./, "");
+  const scoped = scope ? `AND "${scope.column}" = $5` : "";
+  const { rows } = await db.query(
+    `SELECT slug FROM ${table}
+     WHERE (slug = $1 OR slug LIKE $2) AND ($3::bigint IS NULL OR id <> $3) ${scoped}
+     UNION
+     SELECT old_slug FROM slug_history
+     WHERE table_name = $4 AND (old_slug = $1 OR old_slug LIKE $2) AND ($3::bigint IS NULL OR record_id <> $3)`,
+    [base, `${escapeLike(base)}-%`, excludeId, tableName, ...(scope ? [scope.value] : [])]
+  );
+  const taken = new Set(rows.map((r) => r.slug));
+  if (!taken.has(base)) return base;
+  for (let i = 2; ; i++) {
+    if (!taken.has(`${base}-${i}`)) return `${base}-${i}`;
+  }
+}
+
+// ใช้ก่อน dynamicUpdate: ถ้ามีการส่ง slug หรือ field ต้นทาง (title/name) มา จะคำนวณ slug ใหม่ลง body.slug
+// คืนค่า slug เดิมเพื่อส่งต่อให้ recordSlugChange หลังอัปเดตสำเร็จ
+async function prepareSlugUpdate(table, id, body, sourceField) {
+  const source = body.slug || body[sourceField];
+  if (!source) return null;
+  const { rows } = await pool.query(`SELECT slug FROM ${table} WHERE id=$1 AND deleted_at IS NULL`, [id]);
+  if (!rows.length) return null;
+  body.slug = await uniqueSlug(table, source, id);
+  return rows[0].slug;
+}
+
+// เก็บ slug เดิมไว้ redirect และลบประวัติที่ชนกับ slug ปัจจุบัน (กรณีเปลี่ยนกลับเป็น slug เก่า)
+async function recordSlugChange(table, id, oldSlug, newSlug, db = pool) {
+  if (!oldSlug || oldSlug === newSlug) return;
+  const tableName = table.replace(/^public\./, "");
+  await db.query(
+    `INSERT INTO slug_history (table_name, old_slug, record_id) VALUES ($1, $2, $3)
+     ON CONFLICT (table_name, old_slug) DO UPDATE SET record_id = EXCLUDED.record_id, created_at = now()`,
+    [tableName, oldSlug, id]
+  );
+  await db.query("DELETE FROM slug_history WHERE table_name=$1 AND old_slug=$2", [tableName, newSlug]);
+}
 
-    CREATE TABLE IF NOT EXISTS product_categories (
-      id SERIAL PRIMARY KEY,
-      title VARCHAR(255) NOT NULL,
-      slug VARCHAR(255) UNIQUE NOT NULL,
-      sort_order INT DEFAULT 0,
-      is_active BOOLEAN DEFAULT true,
-      subcategories JSONB DEFAULT '[]'
+// หาแถวจาก slug ปัจจุบัน ถ้าไม่เจอแต่เป็น slug เก่า จะคืน { redirectTo: slug ใหม่ }
+// visible = เงื่อนไขการแสดงผลบนหน้าเว็บ (ชื่อคอลัมน์ต้องไม่ชนกับ slug_history)
+async function findBySlug(table, slug, { activeOnly = true, visible = "is_active = true", extra = [] } = {}) {
+  const active = activeOnly ? `AND ${visible}` : "";
+  const { rows } = await pool.query(`SELECT ${["*", ...extra].join(", ")} FROM ${table} WHERE slug=$1 AND deleted_at IS NULL ${active}`, [slug]);
+  if (rows.length) return { row: rows[0] };
+
+  const moved = await pool.query(
+    `SELECT t.slug FROM slug_history h JOIN ${table} t ON t.id = h.record_id
+     WHERE h.table_name=$1 AND h.old_slug=$2 AND t.deleted_at IS NULL ${active}`,
+    [table.replace(/^public\./, ""), slug]
+  );
+  if (moved.rows.length) return { redirectTo: moved.rows[0].slug };
+  return {};
+}
+
+// เติม slug ให้แถวเดิมที่ยังไม่มี (รันตอน start server)
+async function backfillSlugs() {
+  const targets = [
+    { table: "products", source: "name" },
+    { table: "services", source: "title" },
+    { table: "public.news", source: "title" },
+  ];
+  for (const { table, source } of targets) {
+    const { rows } = await pool.query(`SELECT id, ${source} AS source FROM ${table} WHERE slug IS NULL ORDER BY id`);
+    for (const row of rows) {
+      const slug = await uniqueSlug(table, row.source, row.id);
+      await pool.query(`UPDATE ${table} SET slug=$1 WHERE id=$2`, [slug, row.id]);
+    }
+    if (rows.length) console.log(`✅ Generated slugs for ${rows.length} rows in ${table}`);
+  }
+}
+
+// ตัด password_hash ออกก่อนส่งข้อมูลผู้ใช้กลับไปที่ browser
+function publicUser(row) {
+  if (!row) return null;
+  const { password_hash, ...user } = row;
+  return user;
+}
+
+function isBcryptHash(value) {
+  return typeof value === "string" && /^\$2[aby]\$\d{2}\$/.test(value);
+}
+
+// ตรวจรหัสผ่าน รองรับแถวเก่าที่ยังเก็บเป็น plaintext (needsRehash = true, login สำเร็จแล้วจะถูกเปลี่ยนเป็น bcrypt)
+// plaintext เทียบด้วย timingSafeEqual บน sha256 ของทั้งสองค่า (ยาวเท่ากันเสมอ ไม่รั่วความยาวรหัสผ่าน)
+async function verifyPassword(password, storedHash) {
+  if (typeof password !== "string" || typeof storedHash !== "string" || !storedHash) return { ok: false, needsRehash: false };
+  if (isBcryptHash(storedHash)) {
+    return { ok: await bcrypt.compare(password, storedHash), needsRehash: false };
+  }
+  const digest = (value) => crypto.createHash("sha256").update(value, "utf8").digest();
+  return { ok: crypto.timingSafeEqual(digest(password), digest(storedHash)), needsRehash: true };
+}
+
+// --- Session / Token ---
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString("base64url");
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign({ id: user.id, role: user.role, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+async function createSession(user, req) {
+  const refreshToken = newRefreshToken();
+  const { rows } = await pool.query(
+    `INSERT INTO admin_sessions (user_id, refresh_token_hash, user_agent, ip, expires_at)
+     VALUES ($1, $2, $3, $4, now() + make_interval(days => $5)) RETURNING id`,
+    [user.id, hashToken(refreshToken), req.headers["user-agent"] || null, req.ip, REFRESH_TOKEN_TTL_DAYS]
+  );
+  return {
+    token: signAccessToken(user, rows[0].id),
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TOKEN_TTL,
+  };
+}
+
+// revoke ทุก session ของผู้ใช้ (ยกเว้น exceptSessionId ถ้ามี)
+async function revokeUserSessions(userId, exceptSessionId = null) {
+  const { rowCount } = await pool.query(
+    `UPDATE admin_sessions SET revoked_at=now()
+     WHERE user_id=$1 AND revoked_at IS NULL AND ($2::bigint IS NULL OR id <> $2)`,
+    [userId, exceptSessionId]
+  );
+  return rowCount;
+}
+
+// --- Login Throttle ---
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function loginThrottleKeys(username, ip) {
+  const keys = [{ scope: "ip", value: String(ip || "unknown"), max: LOGIN_IP_MAX_FAILURES }];
+  if (typeof username === "string" && username.trim()) {
+    keys.unshift({ scope: "username", value: username.trim().toLowerCase(), max: LOGIN_MAX_FAILURES });
+  }
+  return keys;
+}
+
+// จองการพยายาม login หนึ่งครั้งต่อ key ก่อนตรวจรหัสผ่าน (นับแบบ atomic ใน statement เดียว
+// request ที่ยิงพร้อมกันจึงได้ลำดับคนละค่าและข้ามขีดจำกัดไม่ได้) ช่วงที่ถูกล็อกอยู่จะไม่นับเพิ่ม
+// คืนค่า { retryAfter } ถ้าถูกล็อก, attempts = ลำดับของครั้งนี้ต่อ key, failures = จำนวนครั้งก่อนหน้า (ใช้หน่วงเวลา)
+async function reserveLoginAttempt(keys, username, ip) {
+  let retryAfter = 0;
+  let failures = 0;
+  const attempts = [];
+  for (const key of keys) {
+    const { rows } = await pool.query(
+      `INSERT INTO login_attempts (scope, value, failures) VALUES ($1, $2, 1)
+       ON CONFLICT (scope, value) DO UPDATE SET
+         failures = CASE
+           WHEN login_attempts.locked_until > now() THEN login_attempts.failures
+           WHEN login_attempts.last_failed_at < now() - make_interval(mins => $3)
+             OR login_attempts.locked_until <= now() THEN 1
+           ELSE login_attempts.failures + 1 END,
+         first_failed_at = CASE
+           WHEN login_attempts.locked_until > now() THEN login_attempts.first_failed_at
+           WHEN login_attempts.last_failed_at < now() - make_interval(mins => $3)
+             OR login_attempts.locked_until <= now() THEN now()
+           ELSE login_attempts.first_failed_at END,
+         last_failed_at = CASE WHEN login_attempts.locked_until > now() THEN login_attempts.last_failed_at ELSE now() END,
+         locked_until = CASE WHEN login_attempts.locked_until <= now() THEN NULL ELSE login_attempts.locked_until END
+       RETURNING failures, locked_until`,
+      [key.scope, key.value, LOGIN_FAILURE_WINDOW_MINUTES]
     );
+    const row = rows[0];
+    if (row.locked_until) {
+      retryAfter = Math.max(retryAfter, Math.ceil((row.locked_until - Date.now()) / 1000));
+    } else if (row.failures > key.max) {
+      retryAfter = Math.max(retryAfter, await lockLogin(key, row.failures - 1, username, ip));
+    }
+    attempts.push({ key, failures: row.failures });
+    failures = Math.max(failures, row.failures - 1);
+  }
+  return { retryAfter, failures, attempts };
+}
 
-    CREATE TABLE IF NOT EXISTS service_categories (
-      id SERIAL PRIMARY KEY,
-      title VARCHAR(255) NOT NULL,
-      slug VARCHAR(255) UNIQUE NOT NULL,
-      sort_order INT DEFAULT 0,
-      is_active BOOLEAN DEFAULT true
+// ล็อก key และเก็บประวัติใน login_lockouts (ถ้ามี request อื่นล็อกไปก่อนแล้วจะไม่บันทึกซ้ำ) คืนจำนวนวินาทีที่ต้องรอ
+async function lockLogin(key, failures, username, ip) {
+  const locked = await pool.query(
+    `UPDATE login_attempts SET locked_until = now() + make_interval(mins => $3)
+     WHERE scope=$1 AND value=$2 AND (locked_until IS NULL OR locked_until <= now()) RETURNING locked_until`,
+    [key.scope, key.value, LOGIN_LOCKOUT_MINUTES]
+  );
+  if (locked.rows.length) {
+    await pool.query(
+      `INSERT INTO login_lockouts (scope, value, username, ip, failures, locked_until)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [key.scope, key.value, typeof username === "string" ? username : null, ip, failures, locked.rows[0].locked_until]
     );
+    console.warn(`🔒 Login locked (${key.scope}=${key.value}) after ${failures} failures`);
+  }
+  return LOGIN_LOCKOUT_MINUTES * 60;
+}
+
+// รหัสผ่านผิด: ครั้งที่ครบจำนวน (จากที่จองไว้) จะล็อก key นั้น
+async function recordLoginFailure({ attempts }, username, ip) {
+  let retryAfter = 0;
+  for (const { key, failures } of attempts) {
+    if (failures >= key.max) retryAfter = Math.max(retryAfter, await lockLogin(key, failures, username, ip));
+  }
+  return retryAfter;
+}
+
+// login สำเร็จ -> รีเซ็ตตัวนับของ username และคืนครั้งที่จองไว้ของ IP (ความล้มเหลวก่อนหน้าของ IP ปล่อยให้หมดเวลาเอง)
+async function clearLoginFailures(keys) {
+  for (const key of keys) {
+    if (key.scope === "username") {
+      await pool.query("DELETE FROM login_attempts WHERE scope=$1 AND value=$2", [key.scope, key.value]);
+    } else {
+      await pool.query("UPDATE login_attempts SET failures = GREATEST(failures - 1, 0) WHERE scope=$1 AND value=$2", [key.scope, key.value]);
+    }
+  }
+}
+
+function tooManyAttempts(res, retryAfter) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ message: "Too many login attempts, try again later", retry_after: retryAfter });
+}
+
+// รัน fn(client) ใน transaction เดียว (rollback อัตโนมัติเมื่อ error)
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// คอลัมน์ที่แก้ไขผ่าน dynamicUpdate ได้ของแต่ละตาราง (jsonb = คอลัมน์ที่ต้อง cast เป็น jsonb)
+// softDelete = ตารางที่มี deleted_at (แถวในถังขยะแก้ไขไม่ได้)
+const UPDATABLE_COLUMNS = {
+  admin_users: { editable: ["role", "is_active", "password_hash"], jsonb: [] },
+  product_categories: { editable: ["title", "slug", "sort_order", "is_active", "spec_template"], jsonb: ["spec_template"], softDelete: true },
+  product_subcategories: { editable: ["title", "slug", "sort_order", "is_active"], jsonb: [] },
+  service_categories: { editable: ["title", "slug", "sort_order", "is_active"], jsonb: [], softDelete: true },
+  products: {
+    editable: ["category_id", "subcategory_id", "sku", "name", "slug", "description", "image_url", "sort_order", "is_active", "cta_url", "specifications"],
+    jsonb: ["specifications"], softDelete: true,
+  },
+  services: { editable: ["title", "slug", "category_id", "description", "image_url", "sort_order", "is_active"], jsonb: [], softDelete: true },
+  news: {
+    editable: [
+      "title", "slug", "desc1", "desc2", "date_label", "cover_image_url", "gallery", "is_active", "sort_order",
+      "status", "published_at", "publish_at", "unpublish_at",
+    ],
+    jsonb: ["gallery"], softDelete: true,
+  },
+  certifications: { editable: ["title", "description", "image_url", "sort_order", "is_active"], jsonb: [], softDelete: true },
+  customer_logos: { editable: ["name", "image_url", "sort_order", "is_active"], jsonb: [], softDelete: true },
+  partner_logos: { editable: ["name", "image_url", "sort_order", "is_active"], jsonb: [], softDelete: true },
+  contact_page: {
+    editable: [
+      "heading", "description", "email", "phone", "line_label", "line_url", "line_icon_url", "line_qr_url",
+      "facebook_label", "facebook_url", "address_lines", "open_hours", "map_title", "map_embed_url",
+    ],
+    jsonb: ["address_lines"],
+  },
+  warranty_policy: {
+    editable: [
+      "heading", "general_terms", "exclusion_heading", "exclusions", "product_warranty_heading",
+      "product_warranty_desc", "product_warranties", "claim_heading", "claim_steps", "claim_notes",
+    ],
+    jsonb: ["general_terms", "exclusions", "product_warranties", "claim_steps"],
+  },
+};
+
+// key ที่ไม่อยู่ใน UPDATABLE_COLUMNS จะถูกข้ามไป (ไม่เอาไปต่อเป็นชื่อคอลัมน์ใน SQL)
+async function dynamicUpdate(table, id, updates, db = pool) {
+  const columns = UPDATABLE_COLUMNS[table.replace(/^public\./, "")];
+  if (!columns) throw new Error(`dynamicUpdate: table "${table}" is not updatable`);
+
+  const fields = [];
+  const values = [];
+  let idx = 1;
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (value === undefined || !columns.editable.includes(key)) continue;
+
+    if (columns.jsonb.includes(key)) {
+      fields.push(`"${key}"=$${idx++}::jsonb`);
+      values.push(JSON.stringify(value));
+    } else {
+      fields.push(`"${key}"=$${idx++}`);
+      values.push(value);
+    }
+  }
+
+  if (fields.length === 0) return null;
+
+  values.push(id);
+  const notDeleted = columns.softDelete ? " AND deleted_at IS NULL" : "";
+  const query = `UPDATE ${table} SET ${fields.join(", ")} WHERE id=$${idx}${notDeleted} RETURNING *`;
+
+  try {
+    const { rows } = await db.query(query, values);
+    return rows[0];
+  } catch (e) {
+    console.error(`Dynamic Update Error (${table}):`, e.message);
+    throw e;
+  }
+}
+
+// error ที่ route ตอบกลับเป็น 400 รูปแบบเดียวกับ validate(): { message: "Validation failed", errors: [{ field, message }] }
+class ValidationError extends Error {
+  constructor(errors) {
+    super(errors.map((e) => `${e.field}: ${e.message}`).join("; "));
+    this.errors = errors;
+  }
+}
+
+// error ของ PostgreSQL ที่เกิดจากข้อมูลที่ส่งมา ตอบเป็น 400 แทนการส่งข้อความดิบของ pg กลับไป
+const PG_INPUT_ERRORS = {
+  23502: "Required",
+  23503: "Referenced record does not exist",
+  "22P02": "Invalid value",
+};
+
+function pgValidationError(e) {
+  const message = PG_INPUT_ERRORS[e.code];
+  return message ? new ValidationError([{ field: e.column || "body", message }]) : null;
+}
+
+// --- Categories ---
+// สินค้าที่นับในเมนู (เปิดแสดงผลและไม่อยู่ในถังขยะ)
+const ACTIVE_PRODUCT = "p.is_active = true AND p.deleted_at IS NULL";
+
+// สินค้าบนหน้าเว็บต้องอยู่ในหมวดหมู่ (และหมวดหมู่ย่อยถ้ามี) ที่เปิดใช้งาน
+// ใช้ชื่อคอลัมน์ category_id/subcategory_id แบบไม่มี alias จึงใช้ได้ทั้งกับ products, products p และ products t
+const PRODUCT_CATEGORY_VISIBLE = `EXISTS (SELECT 1 FROM product_categories pc WHERE pc.id = category_id AND pc.is_active = true AND pc.deleted_at IS NULL)
+  AND (subcategory_id IS NULL OR EXISTS (SELECT 1 FROM product_subcategories ps WHERE ps.id = subcategory_id AND ps.is_active = true))`;
+
+// บริการที่ไม่มีหมวดหมู่แสดงได้ ส่วนบริการที่อยู่ในหมวดหมู่ต้องเป็นหมวดหมู่ที่เปิดใช้งาน (ใช้ได้กับ services และ services t เช่นเดียวกัน)
+const SERVICE_CATEGORY_VISIBLE = `(category_id IS NULL OR EXISTS (SELECT 1 FROM service_categories sc WHERE sc.id = category_id AND sc.is_active = true AND sc.deleted_at IS NULL))`;
+
+// หมวดหมู่ย่อยของ product_categories แถวปัจจุบัน เรียงตาม sort_order (ใช้เป็น extra ของ listRows/findBySlug)
+function subcategoriesSql({ activeOnly = false } = {}) {
+  const active = activeOnly ? " AND s.is_active = true" : "";
+  return `COALESCE((SELECT jsonb_agg(to_jsonb(s) ORDER BY s.sort_order, s.id) FROM product_subcategories s
+    WHERE s.category_id = product_categories.id${active}), '[]'::jsonb) AS subcategories`;
+}
+
+// ตรวจ category_id/subcategory_id ของสินค้า: หมวดหมู่ต้องไม่อยู่ในถังขยะ และหมวดหมู่ย่อยต้องอยู่ในหมวดหมู่เดียวกัน
+// ถ้าย้ายหมวดหมู่โดยไม่ได้ส่ง subcategory_id มา จะล้างหมวดหมู่ย่อยเดิมออก
+async function checkProductCategory(body, before = {}) {
+  if (body.category_id !== undefined) {
+    const { rows } = await pool.query("SELECT 1 FROM product_categories WHERE id=$1 AND deleted_at IS NULL", [body.category_id]);
+    if (!rows.length) throw new ValidationError([{ field: "category_id", message: "Category not found" }]);
+    if (body.subcategory_id === undefined && body.category_id !== before.category_id) body.subcategory_id = null;
+  }
+  if (body.subcategory_id) {
+    const { rows } = await pool.query("SELECT 1 FROM product_subcategories WHERE id=$1 AND category_id=$2", [
+      body.subcategory_id,
+      body.category_id ?? before.category_id,
+    ]);
+    if (!rows.length) throw new ValidationError([{ field: "subcategory_id", message: "Subcategory not found in this category" }]);
+  }
+}
+
+async function checkServiceCategory(body) {
+  if (body.category_id == null) return;
+  const { rows } = await pool.query("SELECT 1 FROM service_categories WHERE id=$1 AND deleted_at IS NULL", [body.category_id]);
+  if (!rows.length) throw new ValidationError([{ field: "category_id", message: "Category not found" }]);
+}
+
+// นับรายการที่ยังอ้างอิงแถวนี้อยู่ (ไม่นับที่อยู่ในถังขยะ): { products: 3 }
+async function countReferences(db, children, id) {
+  const counts = {};
+  for (const { resource, table, column } of children) {
+    const { rows } = await db.query(`SELECT COUNT(*)::int AS n FROM ${table} WHERE ${column}=$1 AND deleted_at IS NULL`, [id]);
+    if (rows[0].n) counts[resource] = rows[0].n;
+  }
+  return counts;
+}
+
+// ลบหมวดหมู่ที่ยังมีรายการอ้างอิงได้เฉพาะเมื่อส่ง ?cascade=true ไม่เช่นนั้นตอบ 409
+// cascade = ย้ายรายการที่อ้างอิงลงถังขยะด้วย deleted_at เดียวกับหมวดหมู่ (กู้คืนหมวดหมู่แล้วรายการเหล่านี้กลับมาด้วย)
+async function deleteCategory(type, id, { cascade = false } = {}) {
+  const { table, children } = TRASHABLE[type];
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(`SELECT id FROM ${table} WHERE id=$1 AND deleted_at IS NULL FOR UPDATE`, [id]);
+    if (!rows.length) return null;
+
+    const references = await countReferences(client, children, id);
+    if (Object.keys(references).length && !cascade) {
+      const summary = Object.entries(references).map(([resource, n]) => `${n} ${resource}`).join(", ");
+      const err = new Error(`Category is still used by ${summary}. Pass ?cascade=true to move them to trash as well`);
+      err.status = 409;
+      err.references = references;
+      throw err;
+    }
+
+    for (const child of children) {
+      await client.query(`UPDATE ${child.table} SET deleted_at=now() WHERE ${child.column}=$1 AND deleted_at IS NULL`, [id]);
+    }
+    const deleted = await client.query(`UPDATE ${table} SET deleted_at=now() WHERE id=$1 RETURNING *`, [id]);
+    return { row: deleted.rows[0], cascaded: references };
+  });
+}
+
+// --- Product Specifications ---
+// spec_template ของหมวดหมู่: [{ key, label, type, unit, required, options }] (options ใช้กับ type "select")
+// สินค้าในหมวดหมู่ที่มี template เก็บ specifications เป็น [{ key, label, value, unit }] เรียงตาม template
+const SPEC_TYPES = ["text", "number", "boolean", "select"];
+const PRODUCT_COMPARE_MAX = 6;
+
+function specValue(field, raw) {
+  if (field.type === "number") {
+    const value = typeof raw === "number" ? raw : Number(String(raw).replace(/,/g, "").trim());
+    return Number.isFinite(value) ? { value } : { error: "Must be a number" };
+  }
+  if (field.type === "boolean") {
+    if (typeof raw === "boolean") return { value: raw };
+    const text = String(raw).trim().toLowerCase();
+    if (["true", "yes", "1"].includes(text)) return { value: true };
+    if (["false", "no", "0"].includes(text)) return { value: false };
+    return { error: "Must be true or false" };
+  }
+  const value = String(raw).trim();
+  if (value.length > 1000) return { error: "Must be at most 1000 characters" };
+  if (field.type === "select" && !field.options.includes(value)) return { error: `Must be one of: ${field.options.join(", ")}` };
+  return { value };
+}
+
+// ตรวจ specifications ตาม template (จับคู่รายการด้วย key หรือ label) แล้วคืนค่าที่จัดรูปแบบแล้ว
+// template ว่าง = ไม่ตรวจ, throw ValidationError ถ้าไม่ผ่าน
+function applySpecTemplate(template, specs = []) {
+  if (!template?.length) return specs;
+
+  const errors = [];
+  const values = new Map();
+  specs.forEach((item, i) => {
+    const name = String(item?.key ?? item?.label ?? "").trim();
+    const field = template.find((f) => f.key === name) ?? template.find((f) => f.label.toLowerCase() === name.toLowerCase());
+    if (!field) return errors.push({ field: `specifications.${i}`, message: `Unknown specification "${name}"` });
+    if (values.has(field.key)) return errors.push({ field: `specifications.${i}`, message: `Duplicate specification "${field.key}"` });
+
+    const raw = item?.value;
+    if (raw === undefined || raw === null || raw === "") return;
+    const { value, error } = specValue(field, raw);
+    if (error) return errors.push({ field: `specifications.${i}.value`, message: `${field.label}: ${error}` });
+    values.set(field.key, value);
+  });
+
+  for (const field of template) {
+    if (field.required && !values.has(field.key)) errors.push({ field: "specifications", message: `${field.label} is required` });
+  }
+  if (errors.length) throw new ValidationError(errors);
 
-    CREATE TABLE IF NOT EXISTS products (
-      id SERIAL PRIMARY KEY,
-      category VARCHAR(255) NOT NULL,
-      subcategory VARCHAR(255) DEFAULT '',
-      name VARCHAR(255) NOT NULL,
-      description TEXT DEFAULT '',
-      image_url TEXT DEFAULT '',
-      sort_order INT DEFAULT 0,
-      is_active BOOLEAN DEFAULT true,
-      cta_url TEXT DEFAULT '',
-      specifications JSONB DEFAULT '[]'
+  return template
+    .filter((f) => values.has(f.key))
+    .map((f) => ({ key: f.key, label: f.label, value: values.get(f.key), ...(f.unit ? { unit: f.unit } : {}) }));
+}
+
+// ใช้ก่อนบันทึกสินค้า: ตรวจ specifications ตาม template ของหมวดหมู่ (ใหม่หรือเดิม)
+// ถ้าย้ายหมวดหมู่โดยไม่ได้ส่ง specifications มา จะตรวจค่าเดิมกับ template ของหมวดหมู่ใหม่
+async function prepareSpecifications(body, before = {}) {
+  if (body.specifications === undefined && body.category_id === undefined) return;
+  const { rows } = await pool.query("SELECT spec_template FROM product_categories WHERE id=$1", [body.category_id ?? before.category_id]);
+  body.specifications = applySpecTemplate(rows[0]?.spec_template, body.specifications ?? before.specifications ?? []);
+}
+
+// --- News Publishing ---
+const NEWS_STATUSES = ["draft", "published", "archived"];
+
+// ข่าวที่แสดงบนหน้าเว็บ: สถานะ published และอยู่ในช่วง publish_at..unpublish_at (ถ้าตั้งไว้)
+const NEWS_VISIBLE =
+  "is_active = true AND status = 'published' AND (publish_at IS NULL OR publish_at <= now()) AND (unpublish_at IS NULL OR unpublish_at > now())";
+
+function formatDateLabel(date) {
+  return new Intl.DateTimeFormat("th-TH", { day: "numeric", month: "long", year: "numeric", timeZone: "Asia/Bangkok" }).format(date);
+}
+
+// เติม published_at ตอนเผยแพร่ครั้งแรก (ใช้ publish_at ถ้าตั้งเวลาไว้)
+// และสร้าง date_label จาก published_at ถ้าไม่ได้ระบุมา (หรือ label เดิมก็สร้างอัตโนมัติอยู่แล้ว)
+// คืนข้อความ error ถ้าช่วงเวลาไม่ถูกต้อง
+function prepareNewsPublishing(body, before = {}) {
+  const get = (key) => (body[key] !== undefined ? body[key] : before[key] ?? null);
+  const publishAt = get("publish_at");
+  const unpublishAt = get("unpublish_at");
+  if (publishAt && unpublishAt && new Date(unpublishAt) <= new Date(publishAt)) return "unpublish_at must be after publish_at";
+
+  if (get("status") === "published" && !get("published_at")) body.published_at = publishAt ?? new Date();
+
+  const autoLabel = !before.date_label || (before.published_at && before.date_label === formatDateLabel(before.published_at));
+  if (!body.date_label && autoLabel && body.published_at) body.date_label = formatDateLabel(body.published_at);
+  return null;
+}
+
+// --- News Gallery ---
+// gallery แต่ละรายการ: { id, url, caption, alt, order } (ดู migration 013)
+const NEWS_GALLERY_MAX = Number(process.env.NEWS_GALLERY_MAX || 100);
+
+// รับ URL แบบ string ตามรูปแบบเดิมได้ด้วย, รายการที่ไม่มี id จะได้ id ใหม่
+// เรียงตาม order (ถ้าไม่ระบุใช้ลำดับใน array) แล้วกำหนด order ใหม่เป็น 0..n-1
+function normalizeGallery(items = []) {
+  const seen = new Set();
+  return (items || [])
+    .map((item, index) => {
+      const entry = typeof item === "string" ? { url: item } : item;
+      const id = entry.id && !seen.has(entry.id) ? entry.id : crypto.randomUUID();
+      seen.add(id);
+      return { id, url: entry.url, caption: entry.caption ?? "", alt: entry.alt ?? "", order: entry.order ?? index };
+    })
+    .filter((item) => item.url)
+    .sort((a, b) => a.order - b.order)
+    .map((item, index) => ({ ...item, order: index }));
+}
+
+// แก้ gallery ของข่าวใน transaction เดียว (lock แถวไว้กันการแก้พร้อมกัน)
+// change(gallery) คืน gallery ใหม่ หรือ throw error ที่มี status
+async function updateNewsGallery(id, change) {
+  return withTransaction(async (client) => {
+    const { rows } = await client.query("SELECT * FROM public.news WHERE id=$1 AND deleted_at IS NULL FOR UPDATE", [id]);
+    if (!rows.length) return null;
+
+    const gallery = normalizeGallery(change(normalizeGallery(rows[0].gallery)));
+    if (gallery.length > NEWS_GALLERY_MAX) {
+      const err = new Error(`Gallery can have at most ${NEWS_GALLERY_MAX} images`);
+      err.status = 400;
+      throw err;
+    }
+    const updated = await client.query("UPDATE public.news SET gallery=$1::jsonb WHERE id=$2 RETURNING *", [JSON.stringify(gallery), id]);
+    return { before: rows[0], after: updated.rows[0] };
+  });
+}
+
+function galleryItemIndex(gallery, itemId) {
+  const index = gallery.findIndex((item) => item.id === itemId);
+  if (index === -1) {
+    const err = new Error("Gallery item not found");
+    err.status = 404;
+    throw err;
+  }
+  return index;
+}
+
+// --- Media ---
+// การอ้างอิงไฟล์ตาม MEDIA_REFERENCES (storage.js) เทียบด้วยชื่อไฟล์ไม่รวมนามสกุล
+// จึงรองรับทั้ง URL แบบ relative/absolute และภาพย่อ/WebP, แถวที่อยู่ในถังขยะยังนับว่าอ้างอิงอยู่ เพราะกู้คืนได้
+
+// regex (SQL) ของการอ้างอิงชื่อไฟล์แบบเต็มชื่อ: อยู่ต้นค่าหรือหลัง / (หรือ " ใน jsonb)
+// ตามด้วย -<ภาพย่อ> (ถ้ามี) และนามสกุล แล้วจบที่ท้ายค่า ? # หรือ " เช่น a.jpg ตรงกับ /uploads/a-thumbnail.webp แต่ไม่ตรงกับ /uploads/aa.jpg
+function mediaReferencePatternSql(filenameSql) {
+  const stem = String.raw`regexp_replace(${filenameSql}, '\.[^.]+$', '')`;
+  const variants = Object.keys(IMAGE_VARIANTS).join("|");
+  return String.raw`('(^|[/"])' || regexp_replace(${stem}, '[^A-Za-z0-9_]', '\\\&', 'g') || '(-(${variants}))?\.[A-Za-z0-9]+($|[?#"])')`;
+}
+
+// SQL ที่เป็นจริงเมื่อ filenameSql ถูกอ้างอิงในคอลัมน์ใดคอลัมน์หนึ่ง
+function mediaReferencedSql(filenameSql) {
+  const pattern = mediaReferencePatternSql(filenameSql);
+  return MEDIA_REFERENCES.flatMap(({ table, columns }) =>
+    columns.map((col) => `EXISTS (SELECT 1 FROM ${table} r WHERE r.${col}::text ~ ${pattern})`)
+  ).join(" OR ");
+}
+
+async function mediaReferences(filename) {
+  const pattern = mediaReferencePatternSql("$1::text");
+  const parts = MEDIA_REFERENCES.flatMap(({ resource, table, columns }) =>
+    columns.map((col) => `SELECT '${resource}' AS resource, id::int AS id, '${col}' AS field FROM ${table} WHERE ${col}::text ~ ${pattern}`)
+  );
+  const { rows } = await pool.query(parts.join(" UNION ALL "), [filename]);
+  return rows;
+}
+
+// ลบไฟล์ต้นฉบับ ภาพย่อ และ cache ของ /uploads/<file>?w=
+async function removeMediaFiles(row) {
+  for (const file of mediaFiles(row)) {
+    await storage.delete(file);
+  }
+  // .cache/<ชื่อไฟล์>-w320.webp (cache รุ่นก่อนไม่มีนามสกุลเดิม: .cache/<ชื่อไม่รวมนามสกุล>-w320.webp)
+  const { name, ext } = path.parse(row.filename);
+  for await (const { key } of storage.list(`.cache/${name}`)) {
+    const rest = key.slice(`.cache/${name}`.length);
+    if (/^-w(\d+|full)\.[a-z0-9]+$/i.test(rest.startsWith(`${ext}-w`) ? rest.slice(ext.length) : rest)) await storage.delete(key);
+  }
+}
+
+// ไฟล์ที่ไม่มีใครอ้างอิงและเก่ากว่า MEDIA_ORPHAN_GRACE_HOURS (ไฟล์ที่เพิ่งอัปโหลดอาจยังไม่ได้กดบันทึกฟอร์ม)
+async function cleanupOrphanMedia({ dryRun = false } = {}) {
+  const { rows } = await pool.query(
+    `SELECT * FROM media m
+     WHERE m.created_at < now() - make_interval(hours => $1) AND NOT (${mediaReferencedSql("m.filename")})
+     ORDER BY m.id`,
+    [MEDIA_ORPHAN_GRACE_HOURS]
+  );
+  if (dryRun) return rows;
+
+  for (const row of rows) {
+    await removeMediaFiles(row);
+    await pool.query("DELETE FROM media WHERE id=$1", [row.id]);
+  }
+  if (rows.length) console.log(`🧹 Removed ${rows.length} orphan media files`);
+  return rows;
+}
+
+// เพิ่มไฟล์เดิมใน storage ที่ยังไม่มีในตาราง media (เรียกผ่าน POST /api/admin/media/sync เพราะต้องไล่ดูไฟล์ทั้ง storage)
+// อ่านเฉพาะ header ของไฟล์ที่ยังไม่รู้จักเพื่อหาชนิดและขนาดภาพ, dryRun = คืนรายชื่อไฟล์โดยไม่อ่านไฟล์และไม่บันทึก
+async function syncMediaLibrary({ dryRun = false } = {}) {
+  const { rows } = await pool.query("SELECT filename, variants FROM media");
+  const known = new Set(rows.flatMap(mediaFiles));
+
+  const added = [];
+  for await (const { key, size, lastModified } of storage.list("")) {
+    // ข้าม cache และไฟล์ในโฟลเดอร์ย่อย
+    if (key.includes("/") || known.has(key)) continue;
+    if (dryRun) {
+      added.push({ filename: key, size_bytes: size });
+      continue;
+    }
+
+    const head = await storage.read(key, { length: 256 * 1024 });
+    const type = sniffFileType(head);
+    const { width, height } = imageDimensions(head, type);
+    const inserted = await pool.query(
+      `INSERT INTO media (filename, url, original_name, mime_type, size_bytes, width, height, created_at)
+       VALUES ($1, $2, $1, $3, $4, $5, $6, $7) ON CONFLICT (filename) DO NOTHING RETURNING *`,
+      [key, storage.urlFor(key), type ? FILE_TYPES[type].mime : "application/octet-stream", size, width, height, lastModified]
+    );
+    added.push(...inserted.rows);
+  }
+  if (!dryRun && added.length) console.log(`🖼  Registered ${added.length} existing files in media library`);
+  return added;
+}
+
+// บันทึกไฟล์ที่อัปโหลดลง storage และตาราง media แล้วคืนข้อมูลสำหรับตอบ client
+async function recordUpload(req, file, purpose) {
+  const saved = await saveUpload(file, purpose);
+  const { rows } = await pool.query(
+    `INSERT INTO media (filename, url, original_name, mime_type, size_bytes, width, height, alt_text, uploaded_by, variants)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10::jsonb) RETURNING *`,
+    [
+      saved.filename, saved.url, file.originalname, saved.mimetype, saved.size, saved.width, saved.height,
+      String(req.body.alt_text ?? "").slice(0, 1000), req.user.id, JSON.stringify(saved.variants),
+    ]
+  );
+  await audit(req, "upload", "media", rows[0].id, { after: rows[0] });
+  return { url: saved.url, webp_url: saved.variants.webp ?? null, variants: saved.variants, media: rows[0] };
+}
+
+// --- Audit Log ---
+const AUDIT_IGNORED = ["updated_at"];
+const AUDIT_REDACTED = ["password_hash"];
+
+async function fetchRow(table, id) {
+  const { rows } = await pool.query(`SELECT * FROM ${table} WHERE id=$1`, [id]);
+  return rows[0] || null;
+}
+
+// เก็บเฉพาะคอลัมน์ที่ค่าเปลี่ยน: { column: { before, after } }
+function auditDiff(before, after) {
+  const diff = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (AUDIT_IGNORED.includes(key)) continue;
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    diff[key] = AUDIT_REDACTED.includes(key) ? { before: "[redacted]", after: "[redacted]" } : { before: from, after: to };
+  }
+  return diff;
+}
+
+// บันทึกไม่สำเร็จจะไม่ทำให้ request ที่แก้ข้อมูลไปแล้วล้ม แต่จะ log ไว้
+async function audit(req, action, resource, resourceId, { before = null, after = null } = {}) {
+  try {
+    await pool.query(
+      `INSERT INTO audit_log (user_id, username, action, resource, resource_id, changes, ip, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7, $8)`,
+      [
+        req.user?.id ?? null,
+        req.user?.username ?? null,
+        action,
+        resource,
+        resourceId == null ? null : String(resourceId),
+        JSON.stringify(auditDiff(before, after)),
+        req.ip,
+        req.get("user-agent") || null,
+      ]
+    );
+  } catch (e) {
+    console.error("AUDIT LOG ERROR:", e.message);
+  }
+}
+
+// 7. Validation (zod)
+// ตรวจ req[source] ด้วย schema แล้วแทนที่ด้วยค่าที่ parse แล้ว (ตัด key ที่ไม่รู้จักทิ้ง)
+function validate(schema, source = "body") {
+  return (req, res, next) => {
+    const result = schema.safeParse(req[source] ?? {});
+    if (!result.success) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: result.error.issues.map((issue) => ({
+          field: issue.path.join(".") || source,
+          message: issue.message,
+        })),
+      });
+    }
+    req[source] = result.data;
+    next();
+  };
+}
+
+// ทุก route ที่มี :id ต้องเป็นตัวเลข
+for (const name of ["id", "rev", "targetId"]) {
+  app.param(name, (req, res, next, value) => {
+    if (!/^\d+$/.test(value)) {
+      return res.status(400).json({ message: "Validation failed", errors: [{ field: name, message: "Must be a positive integer" }] });
+    }
+    next();
+  });
+}
+
+// รับค่า "true"/"false" จาก form ได้ด้วย
+const zBool = z.preprocess((v) => (v === "true" ? true : v === "false" ? false : v), z.boolean());
+const zSortOrder = z.coerce.number().int().min(0);
+const zText = (max = 255) => z.string().trim().max(max);
+const zRequiredText = (max = 255) => zText(max).min(1, "Required");
+const zOptionalText = (max = 10000) => z.string().max(max).nullable().optional();
+const zUrl = z.string().max(2000).nullable().optional();
+const zJsonArray = z.array(z.unknown());
+const zId = z.coerce.number().int().positive();
+// รหัสสินค้า: "" = ไม่มี SKU
+const zSku = z.preprocess((v) => (v === "" ? null : v), zText(100).regex(/^\S+$/, "SKU must not contain spaces").nullable());
+const zSlug = z.string().trim().max(255).regex(/^[^\s/?#]+$/, "Slug must not contain spaces, '/', '?' or '#'");
+
+// template ของ specifications ต่อหมวดหมู่สินค้า (ดู applySpecTemplate)
+const zSpecField = z
+  .object({
+    key: z.string().trim().min(1).max(50).regex(/^[a-z0-9_]+$/, "Key must contain only a-z, 0-9 and _"),
+    label: zRequiredText(),
+    type: z.enum(SPEC_TYPES).default("text"),
+    unit: zText(50).optional(),
+    required: zBool.default(false),
+    options: z.array(zRequiredText()).max(200).optional(),
+  })
+  .superRefine((field, ctx) => {
+    if (field.type === "select" && !field.options?.length) ctx.addIssue({ code: "custom", path: ["options"], message: "Select fields need options" });
+  });
+const zSpecTemplate = z
+  .array(zSpecField)
+  .max(100)
+  .refine((fields) => new Set(fields.map((f) => f.key)).size === fields.length, "Spec keys must be unique");
+
+// รายการใน gallery ของข่าว (รับ URL เป็น string ได้ด้วย)
+const zGalleryItem = z.union([
+  z.string().trim().min(1).max(2000),
+  z.object({
+    id: z.string().trim().min(1).max(100).optional(),
+    url: z.string().trim().min(1, "Required").max(2000),
+    caption: zText(1000).optional(),
+    alt: zText(1000).optional(),
+    order: zSortOrder.optional(),
+  }),
+]);
+const zGallery = z.array(zGalleryItem).max(NEWS_GALLERY_MAX).transform(normalizeGallery);
+
+// รับ "" หรือ null เพื่อล้างค่าวันที่
+const zDateTime = z.preprocess((v) => (v === "" ? null : v), z.coerce.date().nullable());
+const zPassword = z.string().min(8, "Password must be at least 8 characters").max(72, "Password must be at most 72 characters");
+
+const schemas = {
+  login: z.object({
+    username: z.string().max(50),
+    password: z.string().max(200),
+  }),
+  changePassword: z.object({
+    current_password: z.string().max(200),
+    new_password: zPassword,
+  }),
+  userCreate: z.object({
+    username: zRequiredText(50),
+    password: zPassword,
+    role: z.enum(ROLES).optional(),
+    is_active: zBool.optional(),
+  }),
+  userPatch: z.object({
+    role: z.enum(ROLES).optional(),
+    is_active: zBool.optional(),
+    password: zPassword.optional(),
+  }),
+
+  productCategory: z.object({
+    title: zRequiredText(),
+    slug: zSlug.optional(),
+    sort_order: zSortOrder.optional(),
+    is_active: zBool.optional(),
+    spec_template: zSpecTemplate.optional(),
+  }),
+  productSubcategory: z.object({
+    title: zRequiredText(),
+    slug: zSlug.optional(),
+    sort_order: zSortOrder.optional(),
+    is_active: zBool.optional(),
+  }),
+  categoryDelete: z.object({
+    cascade: zBool.optional(),
+  }),
+  serviceCategory: z.object({
+    title: zRequiredText(),
+    slug: zSlug.optional(),
+    sort_order: zSortOrder.optional(),
+    is_active: zBool.optional(),
+  }),
+  product: z.object({
+    category_id: zId,
+    subcategory_id: zId.nullable().optional(),
+    sku: zSku.optional(),
+    name: zRequiredText(),
+    slug: zSlug.optional(),
+    description: zOptionalText(),
+    image_url: zUrl,
+    sort_order: zSortOrder.optional(),
+    is_active: zBool.optional(),
+    cta_url: zUrl,
+    specifications: zJsonArray.optional(),
+  }),
+  service: z.object({
+    title: zRequiredText(),
+    slug: zSlug.optional(),
+    category_id: zId.nullable().optional(),
+    description: zOptionalText(),
+    image_url: zUrl,
+    sort_order: zSortOrder.optional(),
+    is_active: zBool.optional(),
+  }),
+  // news รองรับชื่อ field เดิมจาก frontend (content, dateLabel, image_url)
+  news: z.object({
+    title: zRequiredText(1000),
+    slug: zSlug.optional(),
+    desc1: z.string().max(20000).optional(),
+    content: z.string().max(20000).optional(),
+    desc2: zOptionalText(20000),
+    date_label: zText(100).optional(),
+    dateLabel: zText(100).optional(),
+    cover_image_url: zUrl,
+    image_url: zUrl,
+    gallery: zGallery.optional(),
+    is_active: zBool.optional(),
+    sort_order: zSortOrder.optional(),
+    status: z.enum(NEWS_STATUSES).optional(),
+    published_at: zDateTime.optional(),
+    publish_at: zDateTime.optional(),
+    unpublish_at: zDateTime.optional(),
+  }),
+  // POST /api/news/:id/gallery เพิ่มต่อท้าย (หรือแทรกที่ position)
+  newsGalleryAdd: z.object({
+    items: z.array(zGalleryItem).min(1).max(NEWS_GALLERY_MAX),
+    position: zSortOrder.optional(),
+  }),
+  newsGalleryItemPatch: z.object({
+    url: z.string().trim().min(1).max(2000).optional(),
+    caption: zText(1000).optional(),
+    alt: zText(1000).optional(),
+  }),
+  newsGalleryOrder: z.object({
+    ids: z
+      .array(z.string().trim().min(1).max(100))
+      .min(1)
+      .max(NEWS_GALLERY_MAX)
+      .refine((ids) => new Set(ids).size === ids.length, "ids must not contain duplicates"),
+  }),
+  certification: z.object({
+    title: zRequiredText(),
+    description: zOptionalText(),
+    image_url: zUrl,
+    sort_order: zSortOrder.optional(),
+    is_active: zBool.optional(),
+  }),
+  customerLogo: z.object({
+    name: zRequiredText(),
+    image_url: zUrl,
+    sort_order: zSortOrder.optional(),
+    is_active: zBool.optional(),
+  }),
+  partnerLogo: z.object({
+    name: zRequiredText(),
+    image_url: zUrl,
+    sort_order: zSortOrder.optional(),
+    is_active: zBool.optional(),
+  }),
+
+  contact: z.object({
+    data: z.object({
+      heading: zOptionalText(),
+      description: zOptionalText(),
+      email: z.union([z.literal(""), z.string().trim().email().max(255)]).nullable().optional(),
+      phone: z.string().max(50).nullable().optional(),
+      line_label: z.string().max(100).nullable().optional(),
+      line_url: zUrl,
+      line_icon_url: zUrl,
+      line_qr_url: zUrl,
+      facebook_label: z.string().max(100).nullable().optional(),
+      facebook_url: zUrl,
+      address_lines: z.array(z.string().max(1000)).nullable().optional(),
+      open_hours: zOptionalText(),
+      map_title: zOptionalText(),
+      map_embed_url: z.string().max(5000).nullable().optional(),
+    }),
+  }),
+  warranty: z.object({
+    data: z.object({
+      heading: zOptionalText(),
+      general_terms: z
+        .array(z.object({ title: z.string().max(1000), desc: z.string().max(10000) }).passthrough())
+        .nullable()
+        .optional(),
+      exclusion_heading: zOptionalText(),
+      exclusions: z.array(z.string().max(10000)).nullable().optional(),
+      product_warranty_heading: zOptionalText(),
+      product_warranty_desc: zOptionalText(),
+      product_warranties: zJsonArray.nullable().optional(),
+      claim_heading: zOptionalText(),
+      claim_steps: zJsonArray.nullable().optional(),
+      claim_notes: zOptionalText(),
+    }),
+  }),
+
+  // GET /api/admin/products/export?format=xlsx, POST /api/admin/products/import?dry_run=true
+  productExport: z.object({
+    format: z.enum(Object.keys(SHEET_FORMATS)).default("csv"),
+  }),
+  productImport: z.object({
+    format: z.enum(Object.keys(SHEET_FORMATS)).optional(),
+    dry_run: zBool.default(false),
+  }),
+
+  // GET /api/products/compare?ids=3,5,8
+  productCompare: z.object({
+    ids: z
+      .string()
+      .transform((value) => value.split(",").map((v) => v.trim()).filter(Boolean).map(Number))
+      .pipe(
+        z
+          .array(z.number().int().positive())
+          .min(2, "Compare needs at least 2 products")
+          .max(PRODUCT_COMPARE_MAX, `Compare at most ${PRODUCT_COMPARE_MAX} products`)
+          .refine((ids) => new Set(ids).size === ids.length, "ids must not contain duplicates")
+      ),
+  }),
+  // ?include=related (คั่นด้วย , ได้ถ้ามีหลายค่า)
+  detailQuery: z.object({
+    include: z
+      .string()
+      .max(200)
+      .transform((value) => value.split(",").map((v) => v.trim()).filter(Boolean))
+      .pipe(z.array(z.enum(["related"])))
+      .optional(),
+  }),
+  relatedLinks: z.object({
+    items: z
+      .array(z.object({ type: z.enum(["products", "services", "news"]), id: zId }))
+      .min(1)
+      .max(100),
+  }),
+  search: z.object({
+    q: z.string().trim().min(2, "Search query must be at least 2 characters").max(100),
+    type: z.enum(["products", "services", "news"]).optional(),
+    limit: z.coerce.number().int().min(1).max(50).default(10),
+    offset: z.coerce.number().int().min(0).default(0),
+  }),
+  auditQuery: z.object({
+    user_id: z.coerce.number().int().positive().optional(),
+    username: z.string().trim().min(1).optional(),
+    resource: z.string().trim().min(1).optional(),
+    resource_id: z.string().trim().min(1).optional(),
+    action: z.string().trim().min(1).optional(),
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+    limit: z.coerce.number().int().min(1).max(LIST_MAX_LIMIT).default(LIST_DEFAULT_LIMIT),
+    offset: z.coerce.number().int().min(0).default(0),
+  }),
+  revisionDiff: z.object({
+    from: z.coerce.number().int().positive(),
+    to: z.coerce.number().int().positive().optional(),
+  }),
+  mediaQuery: z.object({
+    q: z.string().trim().max(200).optional(),
+    type: z.enum(["image", "document"]).optional(),
+    unused: zBool.optional(),
+    limit: z.coerce.number().int().min(1).max(LIST_MAX_LIMIT).default(LIST_DEFAULT_LIMIT),
+    offset: z.coerce.number().int().min(0).default(0),
+  }),
+  mediaPatch: z.object({
+    alt_text: zText(1000),
+  }),
+  mediaCleanup: z.object({
+    dry_run: zBool.optional(),
+  }),
+  mediaSync: z.object({
+    dry_run: zBool.optional(),
+  }),
+  trashQuery: z.object({
+    type: z.string().optional(),
+    limit: z.coerce.number().int().min(1).max(LIST_MAX_LIMIT).default(LIST_DEFAULT_LIMIT),
+    offset: z.coerce.number().int().min(0).default(0),
+  }),
+};
+
+// ตอนสร้าง news ต้องมี desc1 (หรือ content) และ date_label (หรือ dateLabel)
+const newsCreateSchema = schemas.news.superRefine((body, ctx) => {
+  if (!(body.desc1 ?? body.content)) ctx.addIssue({ code: "custom", path: ["desc1"], message: "desc1/content is required" });
+});
+
+// 8. List (pagination / filter / sort)
+// ทุก list route ตอบกลับรูปแบบเดียวกัน: { data: [...], meta: { total, limit, offset, sort } }
+const LISTS = {
+  productCategories: { table: "product_categories", sortable: ["sort_order", "title", "id"], filters: { is_active: zBool } },
+  serviceCategories: { table: "service_categories", sortable: ["sort_order", "title", "id"], filters: { is_active: zBool } },
+  products: {
+    table: "products",
+    sortable: ["sort_order", "name", "category_id", "subcategory_id", "id"],
+    filters: { category_id: zId, subcategory_id: zId, sku: zText(100), is_active: zBool },
+  },
+  services: {
+    table: "services",
+    sortable: ["sort_order", "title", "category_id", "id"],
+    filters: { category_id: zId, is_active: zBool },
+  },
+  news: {
+    table: "public.news",
+    sortable: ["sort_order", "published_at", "publish_at", "created_at", "updated_at", "title", "id"],
+    filters: { is_active: zBool, status: z.enum(NEWS_STATUSES) },
+  },
+  certifications: { table: "certifications", sortable: ["sort_order", "title", "id"], filters: { is_active: zBool } },
+  customerLogos: { table: "customer_logos", sortable: ["sort_order", "name", "id"], filters: { is_active: zBool } },
+  partnerLogos: { table: "partner_logos", sortable: ["sort_order", "name", "id"], filters: { is_active: zBool } },
+  // ตารางที่ไม่มี soft delete / ไม่มี sort_order กำหนด softDelete, defaultSort และ columns (ไม่ให้ password_hash หลุดออกไป) เอง
+  users: {
+    table: "public.admin_users",
+    columns: "id, username, role, is_active, created_at",
+    softDelete: false,
+    defaultSort: "id",
+    sortable: ["id", "username", "role", "created_at"],
+    filters: { role: z.enum(ROLES), is_active: zBool },
+  },
+  loginLockouts: {
+    table: "login_lockouts",
+    softDelete: false,
+    defaultSort: "-created_at",
+    sortable: ["created_at", "locked_until", "id"],
+    filters: { scope: z.enum(["username", "ip"]), username: zText(255), ip: zText(255) },
+  },
+};
+
+// sort=name หรือ sort=-created_at,name (ขึ้นต้นด้วย - คือเรียงจากมากไปน้อย)
+function listQuerySchema({ sortable, filters, defaultSort = "sort_order" }) {
+  return z.object({
+    limit: z.coerce.number().int().min(1).max(LIST_MAX_LIMIT).default(LIST_DEFAULT_LIMIT),
+    offset: z.coerce.number().int().min(0).default(0),
+    sort: z
+      .string()
+      .max(200)
+      .default(defaultSort)
+      .transform((value, ctx) => {
+        const fields = value.split(",").map((f) => f.trim()).filter(Boolean);
+        const parsed = [];
+        for (const field of fields) {
+          const column = field.replace(/^-/, "");
+          if (!sortable.includes(column)) {
+            ctx.addIssue({ code: "custom", message: `Cannot sort by "${column}". Allowed: ${sortable.join(", ")}` });
+            return z.NEVER;
+          }
+          parsed.push({ column, desc: field.startsWith("-") });
+        }
+        return parsed;
+      }),
+    ...Object.fromEntries(Object.entries(filters).map(([key, schema]) => [key, schema.optional()])),
+  });
+}
+
+// query มาจาก listQuerySchema แล้ว (key อื่นนอกจาก limit/offset/sort คือ filter แบบเท่ากับ)
+// where = เงื่อนไขเพิ่มเติมที่ route บังคับเอง เช่น "is_active = true", extra = คอลัมน์ที่คำนวณเพิ่มจาก SELECT *
+async function listRows(list, query, { where = [], extra = [] } = {}) {
+  const { limit, offset, sort, ...filters } = query;
+  const conds = [...(list.softDelete === false ? [] : ["deleted_at IS NULL"]), ...where];
+  const params = [];
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (value === undefined) continue;
+    params.push(value);
+    conds.push(`"${key}" = $${params.length}`);
+  }
+
+  const whereSql = conds.length ? `WHERE ${conds.join(" AND ")}` : "";
+  const orderSql = [...sort.map((s) => `"${s.column}" ${s.desc ? "DESC" : "ASC"}`), "id ASC"].join(", ");
+
+  const [{ rows }, count] = await Promise.all([
+    pool.query(
+      `SELECT ${[list.columns || "*", ...extra].join(", ")} FROM ${list.table} ${whereSql} ORDER BY ${orderSql} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    pool.query(`SELECT COUNT(*)::int AS total FROM ${list.table} ${whereSql}`, params),
+  ]);
+
+  return {
+    data: rows,
+    meta: {
+      total: count.rows[0].total,
+      limit,
+      offset,
+      sort: sort.map((s) => (s.desc ? `-${s.column}` : s.column)).join(","),
+    },
+  };
+}
+
+// 9. Search
+// fields เรียงตามน้ำหนักคะแนน (weight) และ searchDocument() ต้องตรงกับ index ใน migrations/005_search.up.sql
+const SEARCH_TYPES = {
+  products: {
+    table: "products",
+    titleField: "name",
+    fields: [
+      { expr: "name", weight: 4 },
+      { expr: "description", weight: 1 },
+      { expr: "public.jsonb_values_text(specifications)", weight: 1 },
+    ],
+    select: "id, slug, name AS title, description AS snippet_source, image_url, category_id, subcategory_id",
+    visible: `is_active = true AND ${PRODUCT_CATEGORY_VISIBLE}`,
+  },
+  services: {
+    table: "services",
+    titleField: "title",
+    fields: [
+      { expr: "title", weight: 4 },
+      { expr: "description", weight: 1 },
+    ],
+    select: "id, slug, title, description AS snippet_source, image_url, category_id",
+    visible: `is_active = true AND ${SERVICE_CATEGORY_VISIBLE}`,
+  },
+  news: {
+    table: "public.news",
+    titleField: "title",
+    fields: [
+      { expr: "title", weight: 4 },
+      { expr: "desc1", weight: 2 },
+      { expr: "desc2", weight: 1 },
+    ],
+    select: "id, slug, title, coalesce(desc1, '') || ' ' || coalesce(desc2, '') AS snippet_source, cover_image_url AS image_url, date_label, published_at",
+    visible: NEWS_VISIBLE,
+  },
+};
+
+function searchDocument(type) {
+  return type.fields.map((f) => `coalesce(${f.expr}, '')`).join(" || ' ' || ");
+}
+
+// ตัดข้อความรอบคำที่เจอ (ภาษาไทยไม่มีช่องว่าง จึงตัดตามจำนวนตัวอักษร)
+function searchSnippet(text, terms, radius = 80) {
+  const source = String(text || "").replace(/\s+/g, " ").trim();
+  const lower = source.toLowerCase();
+  const hit = terms.map((t) => lower.indexOf(t.toLowerCase())).filter((i) => i >= 0).sort((a, b) => a - b)[0] ?? 0;
+  const start = Math.max(0, hit - radius);
+  const end = Math.min(source.length, hit + radius);
+  return `${start > 0 ? "…" : ""}${source.slice(start, end)}${end < source.length ? "…" : ""}`;
+}
+
+// ทุกคำใน terms ต้องเจออย่างน้อยหนึ่ง field; คะแนน = ผลรวม weight (ขึ้นต้นด้วยคำนั้นได้ 2 เท่า) + ความคล้ายของชื่อ
+async function searchType(type, q, terms, { limit, offset }) {
+  const doc = searchDocument(type);
+  // $1..$n = "%term%" (ใช้ทั้งใน WHERE และคะแนน), $n+1..$2n = "term%", ต่อด้วย q, limit, offset
+  const contains = terms.map((t) => `%${escapeLike(t)}%`);
+  const prefixes = terms.map((t) => `${escapeLike(t)}%`);
+  const n = terms.length;
+  const qParam = `$${2 * n + 1}`;
+
+  const conds = [type.visible ?? "is_active = true", "deleted_at IS NULL", ...terms.map((_, i) => `(${doc}) ILIKE $${i + 1}`)];
+  const scores = [
+    `CASE WHEN lower(${type.titleField}) = lower(${qParam}) THEN 10 ELSE 0 END`,
+    `similarity(${type.titleField}, ${qParam})`,
+  ];
+  terms.forEach((_, i) => {
+    for (const f of type.fields) {
+      scores.push(
+        `CASE WHEN ${f.expr} ILIKE $${n + i + 1} THEN ${f.weight * 2} WHEN ${f.expr} ILIKE $${i + 1} THEN ${f.weight} ELSE 0 END`
+      );
+    }
+  });
+
+  const whereSql = conds.join(" AND ");
+  const [{ rows }, count] = await Promise.all([
+    pool.query(
+      `SELECT ${type.select}, (${scores.join(" + ")})::float AS score
+       FROM ${type.table}
+       WHERE ${whereSql}
+       ORDER BY score DESC, sort_order ASC, id ASC
+       LIMIT $${2 * n + 2} OFFSET $${2 * n + 3}`,
+      [...contains, ...prefixes, q, limit, offset]
+    ),
+    pool.query(`SELECT COUNT(*)::int AS total FROM ${type.table} WHERE ${whereSql}`, contains),
+  ]);
+
+  return {
+    total: count.rows[0].total,
+    items: rows.map(({ snippet_source, ...row }) => ({ ...row, snippet: searchSnippet(snippet_source, terms) })),
+  };
+}
+
+// 10. Reorder (sort_order)
+// scopes = คอลัมน์ที่ใช้จำกัดกลุ่มการเรียง เช่น products ภายใน category เดียวกัน
+const REORDERABLE = {
+  "product-categories": { table: "product_categories", scopes: [] },
+  "service-categories": { table: "service_categories", scopes: [] },
+  products: { table: "products", scopes: ["category_id", "subcategory_id"] },
+  services: { table: "services", scopes: ["category_id"] },
+  news: { table: "public.news", scopes: [] },
+  certifications: { table: "certifications", scopes: [] },
+  "customer-logos": { table: "customer_logos", scopes: [] },
+  "partner-logos": { table: "partner_logos", scopes: [] },
+};
+
+function reorderSchema({ scopes }) {
+  return z.object({
+    ids: z
+      .array(z.coerce.number().int().positive())
+      .min(1)
+      .max(2000)
+      .refine((ids) => new Set(ids).size === ids.length, "ids must not contain duplicates"),
+    scope: z.object(Object.fromEntries(scopes.map((col) => [col, zId.nullable().optional()]))).optional(),
+  });
+}
+
+// ids ที่ส่งมาได้ลำดับ 0..n-1 ตามลำดับที่ส่ง แถวอื่นใน scope เดียวกันต่อท้ายตามลำดับเดิม
+// ทั้งหมดทำใน transaction เดียว
+async function reorderRows({ table }, ids, scope = {}) {
+  return withTransaction(async (client) => {
+    const conds = ["deleted_at IS NULL"];
+    const params = [];
+    for (const [col, value] of Object.entries(scope)) {
+      if (value === undefined) continue;
+      if (value === null) {
+        conds.push(`"${col}" IS NULL`);
+        continue;
+      }
+      params.push(value);
+      conds.push(`"${col}" = $${params.length}`);
+    }
+    const whereSql = `WHERE ${conds.join(" AND ")}`;
+
+    const { rows } = await client.query(
+      `SELECT id FROM ${table} ${whereSql} ORDER BY sort_order ASC, id ASC FOR UPDATE`,
+      params
+    );
+    const current = rows.map((r) => Number(r.id));
+    const inScope = new Set(current);
+    const unknown = ids.filter((id) => !inScope.has(id));
+    if (unknown.length) {
+      const err = new Error(`Ids not found in scope: ${unknown.join(", ")}`);
+      err.status = 400;
+      throw err;
+    }
+
+    const listed = new Set(ids);
+    const ordered = [...ids, ...current.filter((id) => !listed.has(id))];
+    // ORDINALITY เริ่มที่ 1 -> ลบ 1 ให้เริ่มที่ 0 เหมือนค่า default
+    const updated = await client.query(
+      `UPDATE ${table} AS t SET sort_order = v.pos - 1
+       FROM unnest($1::bigint[]) WITH ORDINALITY AS v(id, pos)
+       WHERE t.id = v.id
+       RETURNING t.id, t.sort_order`,
+      [ordered]
     );
+    return updated.rows.map((r) => ({ id: Number(r.id), sort_order: r.sort_order })).sort((a, b) => a.sort_order - b.sort_order);
+  });
+}
+
+// 11. Trash (soft delete)
+// label = คอลัมน์ที่ใช้แสดงชื่อรายการในถังขยะ
+// children = ตารางที่อ้างอิงแถวนี้ด้วย foreign key (ลบ/กู้คืนพร้อมกันแบบ cascade), parents = กลับกัน
+const TRASHABLE = {
+  "product-categories": {
+    table: "product_categories",
+    label: "title",
+    children: [{ resource: "products", table: "products", column: "category_id" }],
+  },
+  "service-categories": {
+    table: "service_categories",
+    label: "title",
+    children: [{ resource: "services", table: "services", column: "category_id" }],
+  },
+  products: { table: "products", label: "name", parents: [{ resource: "product-categories", table: "product_categories", column: "category_id" }] },
+  services: { table: "services", label: "title", parents: [{ resource: "service-categories", table: "service_categories", column: "category_id" }] },
+  news: { table: "public.news", label: "title" },
+  certifications: { table: "certifications", label: "title" },
+  "customer-logos": { table: "customer_logos", label: "name" },
+  "partner-logos": { table: "partner_logos", label: "name" },
+};
+
+// ลบถาวรรายการที่อยู่ในถังขยะนานเกิน TRASH_RETENTION_DAYS
+// รายการลูกที่อยู่ในถังขยะจะถูกลบไปพร้อมแถวแม่ ส่วนแถวแม่ที่ยังมีรายการลูกที่ไม่ได้ลบอ้างอิงอยู่จะถูกข้ามไป
+async function purgeExpiredTrash() {
+  let purged = 0;
+  for (const { table, children = [] } of Object.values(TRASHABLE)) {
+    const expired = `SELECT id FROM ${table} WHERE deleted_at < now() - make_interval(days => $1)`;
+    for (const child of children) {
+      const { rowCount } = await pool.query(
+        `DELETE FROM ${child.table} WHERE deleted_at IS NOT NULL AND ${child.column} IN (${expired})`,
+        [TRASH_RETENTION_DAYS]
+      );
+      purged += rowCount;
+    }
+    const unused = children.map((c) => ` AND NOT EXISTS (SELECT 1 FROM ${c.table} c WHERE c.${c.column} = t.id)`).join("");
+    const { rowCount } = await pool.query(
+      `DELETE FROM ${table} t WHERE deleted_at < now() - make_interval(days => $1)${unused}`,
+      [TRASH_RETENTION_DAYS]
+    );
+    purged += rowCount;
+  }
+  if (purged) console.log(`🗑️  Purged ${purged} expired trash items`);
+  return purged;
+}
+
+// 12. Revisions (ประวัติการแก้ไข)
+// เก็บ snapshot ของแถวหลังบันทึกทุกครั้ง, slugSource = ฟิลด์ที่ใช้สร้าง slug ใหม่ตอน rollback ถ้า slug เดิมถูกใช้ไปแล้ว
+// snapshot มาจากแถวในตารางตรงๆ จึงตรวจด้วย schema เดียวกับ PATCH/PUT ก่อนเขียนกลับ (schema อาจเข้มขึ้นหลังบันทึก revision)
+// คอลัมน์ที่เป็น null แต่ schema ไม่รับ null (เช่น slug หรือ date_label ของแถวเก่า) คงค่าปัจจุบันไว้
+function parseRevisionData(schema, data) {
+  const input = Object.fromEntries(
+    Object.entries(data).filter(([key, value]) => value !== null || !schema.shape[key] || schema.shape[key].safeParse(null).success)
+  );
+  const parsed = schema.safeParse(input);
+  if (!parsed.success) {
+    throw new ValidationError(parsed.error.issues.map((issue) => ({ field: issue.path.join(".") || "data", message: issue.message })));
+  }
+  return parsed.data;
+}
 
-    CREATE TABLE IF NOT EXISTS services (
-      id SERIAL PRIMARY KEY,
-      title VARCHAR(255) NOT NULL,
-      category VARCHAR(255) DEFAULT '',
-      description TEXT DEFAULT '',
-      image_url TEXT DEFAULT '',
-      sort_order INT DEFAULT 0,
-      is_active BOOLEAN DEFAULT true
+const REVISIONED = {
+  contact: {
+    table: "contact_page",
+    prepare: async (data) => parseRevisionData(schemas.contact.shape.data.partial(), data),
+  },
+  warranty: {
+    table: "warranty_policy",
+    prepare: async (data) => parseRevisionData(schemas.warranty.shape.data.partial(), data),
+  },
+  products: {
+    table: "products",
+    slugSource: "name",
+    // ตรวจแบบเดียวกับ PATCH /api/products/:id (หมวดหมู่อาจถูกลบหรือ template เปลี่ยนไปหลังบันทึก revision)
+    prepare: async (data, before) => {
+      const parsed = parseRevisionData(schemas.product.partial(), data);
+      await checkProductCategory(parsed, before);
+      await prepareSpecifications(parsed, before);
+      return parsed;
+    },
+  },
+  news: {
+    table: "public.news",
+    slugSource: "title",
+    // ตรวจกำหนดเวลาเผยแพร่แบบเดียวกับ PATCH /api/news/:id
+    prepare: async (data, before) => {
+      const parsed = parseRevisionData(schemas.news.partial(), data);
+      const scheduleError = prepareNewsPublishing(parsed, before);
+      if (scheduleError) throw new ValidationError([{ field: "unpublish_at", message: scheduleError }]);
+      return parsed;
+    },
+  },
+};
+
+async function saveRevision(req, type, row, note = null) {
+  await pool.query(
+    `INSERT INTO revisions (resource, record_id, revision, data, user_id, username, note)
+     SELECT $1::text, $2::int, COALESCE(MAX(revision), 0) + 1, $3::jsonb, $4, $5, $6
+     FROM revisions WHERE resource=$1::text AND record_id=$2::int`,
+    [type, row.id, JSON.stringify(row), req.user?.id ?? null, req.user?.username ?? null, note]
+  );
+}
+
+async function getRevision(type, id, revision) {
+  const { rows } = await pool.query(
+    "SELECT * FROM revisions WHERE resource=$1 AND record_id=$2 AND revision=$3",
+    [type, id, revision]
+  );
+  return rows[0] || null;
+}
+
+// 13. Related items (ความเชื่อมโยงระหว่าง products / services / news)
+// ลิงก์ไม่มีทิศทาง: ลิงก์จาก A ไป B แสดงในหน้ารายละเอียดของทั้ง A และ B
+// visible = เงื่อนไขการแสดงผลบนหน้าเว็บ (รายการที่ไม่ผ่านจะถูกซ่อนจาก route สาธารณะ)
+const RELATED_TYPES = {
+  products: {
+    table: "products",
+    select: "t.id, t.slug, t.name AS title, t.image_url, t.category_id, t.is_active",
+    visible: `t.is_active = true AND ${PRODUCT_CATEGORY_VISIBLE}`,
+  },
+  services: {
+    table: "services",
+    select: "t.id, t.slug, t.title, t.image_url, t.category_id, t.is_active",
+    visible: `t.is_active = true AND ${SERVICE_CATEGORY_VISIBLE}`,
+  },
+  news: {
+    table: "public.news",
+    select: "t.id, t.slug, t.title, t.cover_image_url AS image_url, t.date_label, t.published_at, t.is_active, t.status",
+    visible: NEWS_VISIBLE,
+  },
+};
+
+// { products: [...], services: [...], news: [...] } เรียงตาม sort_order ของแต่ละรายการ
+async function relatedItems(type, id, { publicOnly = false } = {}) {
+  const related = {};
+  for (const [targetType, { table, select, visible }] of Object.entries(RELATED_TYPES)) {
+    const { rows } = await pool.query(
+      `SELECT ${select} FROM ${table} t
+       WHERE t.deleted_at IS NULL ${publicOnly ? `AND ${visible}` : ""} AND t.id IN (
+         SELECT target_id FROM related_items WHERE source_type=$1 AND source_id=$2 AND target_type=$3
+         UNION
+         SELECT source_id FROM related_items WHERE target_type=$1 AND target_id=$2 AND source_type=$3
+       )
+       ORDER BY t.sort_order ASC, t.id ASC`,
+      [type, id, targetType]
     );
+    related[targetType] = rows.map((row) => ({ ...row, id: Number(row.id) }));
+  }
+  return related;
+}
+
+// ?include=related ของ route รายละเอียด
+async function withIncludes(req, type, row, { publicOnly = false } = {}) {
+  if (!req.query.include?.includes("related")) return row;
+  return { ...row, related: await relatedItems(type, row.id, { publicOnly }) };
+}
+
+// 14. Product import / export (CSV, XLSX)
+// หนึ่งแถวต่อสินค้า: PRODUCT_SHEET_COLUMNS ตามด้วยคอลัมน์ "spec:<key>" หนึ่งคอลัมน์ต่อ specification (spec แบบเดิมที่ไม่มี key ใช้ label)
+// category/subcategory export เป็น slug และ import ได้ทั้ง slug หรือชื่อ
+const PRODUCT_SHEET_COLUMNS = ["id", "sku", "name", "slug", "category", "subcategory", "description", "image_url", "cta_url", "sort_order", "is_active"];
+const SPEC_COLUMN_PREFIX = "spec:";
+const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS || 5000);
+
+const specName = (spec) => String(spec?.key ?? spec?.label ?? "");
+
+// ค่าตามที่เขียนลงเซลล์ ใช้เทียบค่าเดิมกับค่าที่ import (null กับ "" ถือว่าเท่ากัน)
+function sheetText(value) {
+  if (value === null || value === undefined) return "";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+// เทียบ specifications โดยไม่สนลำดับ key ในแต่ละรายการ (jsonb เรียง key ใหม่ตอนบันทึก)
+function sameSpecs(a, b) {
+  const text = (specs) => JSON.stringify((specs ?? []).map((spec) => Object.entries(spec ?? {}).sort(([x], [y]) => x.localeCompare(y))));
+  return text(a) === text(b);
+}
+
+// เพิ่มสินค้าจาก body ที่ตรวจหมวดหมู่และ specifications แล้ว (ใช้ทั้ง POST /api/products และ import)
+async function insertProduct(db, body) {
+  const { category_id, subcategory_id, sku, name, description, image_url, sort_order, is_active, cta_url, specifications } = body;
+  const slug = await uniqueSlug("products", body.slug || name, null, { db });
+  const { rows } = await db.query(
+    `INSERT INTO products (category_id, subcategory_id, sku, name, slug, description, image_url, sort_order, is_active, cta_url, specifications)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11::jsonb) RETURNING *`,
+    [category_id, subcategory_id ?? null, sku ?? null, name, slug, description || "", image_url || "", sort_order || 0, is_active ?? true, cta_url || "", JSON.stringify(specifications || [])]
+  );
+  return rows[0];
+}
+
+// แถวของไฟล์ export (แถวแรกคือหัวคอลัมน์) เรียงตามหมวดหมู่แล้วตาม sort_order
+// คอลัมน์ spec เรียงตาม template ของหมวดหมู่ก่อน ต่อด้วย spec อื่นที่พบ
+async function productSheetRows() {
+  const { rows } = await pool.query(
+    `SELECT p.*, c.slug AS category_slug, c.spec_template, s.slug AS subcategory_slug
+     FROM products p
+     JOIN product_categories c ON c.id = p.category_id
+     LEFT JOIN product_subcategories s ON s.id = p.subcategory_id
+     WHERE p.deleted_at IS NULL
+     ORDER BY c.sort_order, c.id, p.sort_order, p.id`
+  );
+  const specColumns = new Set();
+  for (const product of rows) product.spec_template.forEach((field) => specColumns.add(field.key));
+  for (const product of rows) (product.specifications || []).map(specName).filter(Boolean).forEach((name) => specColumns.add(name));
+
+  const header = [...PRODUCT_SHEET_COLUMNS, ...[...specColumns].map((name) => SPEC_COLUMN_PREFIX + name)];
+  return [
+    header,
+    ...rows.map((p) => {
+      const specs = new Map((p.specifications || []).map((spec) => [specName(spec), spec.value]));
+      return [
+        p.id, p.sku ?? "", p.name, p.slug, p.category_slug, p.subcategory_slug ?? "",
+        p.description ?? "", p.image_url ?? "", p.cta_url ?? "", p.sort_order ?? 0, p.is_active,
+        ...[...specColumns].map((name) => specs.get(name) ?? ""),
+      ];
+    }),
+  ];
+}
+
+// แทนค่า spec เดิมด้วยค่าจากคอลัมน์ spec:<ชื่อ> (เซลล์ว่าง = ลบ spec นั้น) ส่วน spec ที่ไม่มีคอลัมน์ในไฟล์คงไว้ตามเดิม
+// keyed = หมวดหมู่มี template (spec ใหม่ส่งเป็น key ให้ applySpecTemplate จับคู่) ไม่เช่นนั้นเก็บเป็น label แบบเดิม
+function mergeSheetSpecs(specs, columns, keyed) {
+  const matches = (spec, name) => specName(spec) === name || String(spec?.label ?? "").toLowerCase() === name.toLowerCase();
+  const merged = [];
+  const used = new Set();
+  for (const spec of specs) {
+    const column = columns.find(([name]) => matches(spec, name));
+    if (!column) {
+      merged.push(spec);
+      continue;
+    }
+    used.add(column[0]);
+    const text = column[1].trim();
+    // ค่าที่ไม่ได้แก้คงชนิดเดิมไว้ (เช่นตัวเลขใน spec แบบเดิมไม่กลายเป็น string)
+    if (text) merged.push({ ...spec, value: sheetText(spec.value) === text ? spec.value : text });
+  }
+  for (const [name, text] of columns) {
+    if (used.has(name) || !text.trim()) continue;
+    merged.push(keyed ? { key: name, value: text.trim() } : { label: name, value: text.trim() });
+  }
+  return merged;
+}
+
+// หาแถวจาก slug ก่อนแล้วจึงใช้ชื่อ (ไม่สนตัวพิมพ์เล็ก/ใหญ่)
+function findByName(rows, text) {
+  const name = text.trim().toLowerCase();
+  return rows.find((r) => r.slug.toLowerCase() === name) ?? rows.find((r) => r.title.toLowerCase() === name);
+}
+
+// อ่านหัวคอลัมน์ของไฟล์ import: ชื่อคอลัมน์ไม่สนตัวพิมพ์ (ยกเว้นชื่อ spec), คอลัมน์ที่ไม่มีหัวถูกข้ามไป
+function productSheetHeader(row = []) {
+  const header = row.map((cell) => {
+    const name = String(cell).trim();
+    if (!name.toLowerCase().startsWith(SPEC_COLUMN_PREFIX)) return name.toLowerCase();
+    return SPEC_COLUMN_PREFIX + name.slice(SPEC_COLUMN_PREFIX.length).trim();
+  });
+  const unknown = header.filter((h) => h && !PRODUCT_SHEET_COLUMNS.includes(h) && !(h.startsWith(SPEC_COLUMN_PREFIX) && h !== SPEC_COLUMN_PREFIX));
+  const duplicates = header.filter((h, i) => h && header.indexOf(h) !== i);
+  const problem = unknown.length
+    ? `Unknown columns: ${unknown.join(", ")}`
+    : duplicates.length
+      ? `Duplicate columns: ${[...new Set(duplicates)].join(", ")}`
+      : !header.some(Boolean) && "File has no header row";
+  if (problem) {
+    const err = new Error(problem);
+    err.status = 400;
+    throw err;
+  }
+  return header;
+}
+
+// ตรวจทุกแถวของไฟล์ import โดยยังไม่บันทึก คืนรายการตามลำดับในไฟล์ (ข้ามแถวว่าง)
+// { row, action: create|update|unchanged, id, sku, name, changes, errors, body, before }
+// จับคู่สินค้าเดิมด้วย id ก่อน แล้วจึงใช้ sku, คอลัมน์ที่ไม่มีในไฟล์ = ไม่แก้ค่านั้น
+async function planProductImport(sheet, { canCreate = true } = {}) {
+  const header = productSheetHeader(sheet[0]);
+  const lines = sheet.slice(1);
+  if (lines.length > IMPORT_MAX_ROWS) {
+    const err = new Error(`Too many rows. Max ${IMPORT_MAX_ROWS} per import`);
+    err.status = 400;
+    throw err;
+  }
+
+  const { rows: categories } = await pool.query("SELECT id, slug, title, spec_template FROM product_categories WHERE deleted_at IS NULL ORDER BY id");
+  const { rows: subcategories } = await pool.query("SELECT id, category_id, slug, title FROM product_subcategories ORDER BY id");
+  const { rows: products } = await pool.query("SELECT * FROM products ORDER BY id");
+  const categoryById = new Map(categories.map((c) => [c.id, c]));
+  const productById = new Map(products.map((p) => [p.id, p]));
+  const productBySku = new Map(products.filter((p) => p.sku).map((p) => [p.sku, p]));
+  const specColumns = header.filter((h) => h.startsWith(SPEC_COLUMN_PREFIX));
+  const createSchema = schemas.product;
+  const updateSchema = schemas.product.partial();
+
+  const seenIds = new Map();
+  const seenSkus = new Map();
+  const plan = [];
+
+  lines.forEach((line, i) => {
+    const cells = {};
+    header.forEach((h, col) => {
+      if (h) cells[h] = String(line[col] ?? "");
+    });
+    if (Object.values(cells).every((text) => !text.trim())) return;
+
+    const row = i + 2;
+    const errors = [];
+    const has = (column) => column in cells;
+    const idText = (cells.id ?? "").trim();
+    const skuText = (cells.sku ?? "").trim();
+
+    let before = null;
+    if (idText) {
+      before = /^\d+$/.test(idText) ? productById.get(Number(idText)) ?? null : null;
+      if (!before) errors.push({ field: "id", message: "Product not found" });
+    } else if (skuText) {
+      before = productBySku.get(skuText) ?? null;
+    }
+    if (before?.deleted_at) errors.push({ field: idText ? "id" : "sku", message: "Product is in trash" });
+    if (!before && !idText && !canCreate) errors.push({ field: "id", message: "Missing permission: products:create" });
+
+    if (before) {
+      if (seenIds.has(before.id)) errors.push({ field: idText ? "id" : "sku", message: `Same product as row ${seenIds.get(before.id)}` });
+      else seenIds.set(before.id, row);
+    }
+    if (skuText) {
+      const owner = productBySku.get(skuText);
+      if (seenSkus.has(skuText)) errors.push({ field: "sku", message: `Duplicate SKU (row ${seenSkus.get(skuText)})` });
+      else if (owner && owner.id !== before?.id) errors.push({ field: "sku", message: "SKU already used by another product" });
+      seenSkus.set(skuText, seenSkus.get(skuText) ?? row);
+    }
+
+    // เซลล์ว่างของ slug/sort_order/is_active = ค่าเดิม (หรือค่าเริ่มต้นตอนสร้าง), ข้อความอื่นที่ว่าง = ล้างค่า
+    const body = {};
+    for (const column of ["sku", "name", "slug", "description", "image_url", "cta_url", "sort_order", "is_active"]) {
+      if (!has(column)) continue;
+      const text = cells[column];
+      if (["slug", "sort_order", "is_active"].includes(column) && !text.trim()) continue;
+      body[column] = column === "sku" ? skuText : column === "is_active" ? text.trim().toLowerCase() : text;
+    }
+
+    if (has("category")) {
+      const category = cells.category.trim() && findByName(categories, cells.category);
+      if (!cells.category.trim()) errors.push({ field: "category", message: "Required" });
+      else if (!category) errors.push({ field: "category", message: `Category "${cells.category.trim()}" not found` });
+      else body.category_id = category.id;
+    }
+    const categoryId = body.category_id ?? before?.category_id;
+    const categoryChanged = before && body.category_id !== undefined && body.category_id !== before.category_id;
+    if (has("subcategory") && cells.subcategory.trim()) {
+      const subcategory = findByName(subcategories.filter((s) => s.category_id === categoryId), cells.subcategory);
+      if (subcategory) body.subcategory_id = subcategory.id;
+      else if (categoryId) errors.push({ field: "subcategory", message: `Subcategory "${cells.subcategory.trim()}" not found in this category` });
+    } else if (has("subcategory") || categoryChanged) {
+      body.subcategory_id = null;
+    }
+
+    const parsed = (before ? updateSchema : createSchema).safeParse(body);
+    if (!parsed.success) {
+      for (const issue of parsed.error.issues) {
+        const field = issue.path.join(".").replace(/^(sub)?category_id$/, "$1category");
+        if (!errors.some((e) => e.field === field)) errors.push({ field, message: issue.message });
+      }
+    }
+    const data = parsed.success ? parsed.data : {};
+
+    const category = categoryById.get(categoryId);
+    if (category && (specColumns.length || categoryChanged || !before)) {
+      const columns = specColumns.map((h) => [h.slice(SPEC_COLUMN_PREFIX.length), cells[h]]);
+      const keyed = category.spec_template.length > 0;
+      try {
+        data.specifications = applySpecTemplate(category.spec_template, mergeSheetSpecs(before?.specifications ?? [], columns, keyed));
+      } catch (e) {
+        if (!(e instanceof ValidationError)) throw e;
+        for (const { message } of e.errors) errors.push({ field: "specifications", message });
+      }
+    }
+
+    // แถวที่จับคู่ได้บันทึกเฉพาะคอลัมน์ที่ค่าเปลี่ยน (ชื่อที่เปลี่ยนไม่ทำให้ slug เปลี่ยน ต้องแก้คอลัมน์ slug เอง)
+    const changes = before
+      ? Object.keys(data).filter((key) =>
+          key === "specifications" ? !sameSpecs(data[key], before[key]) : sheetText(data[key]) !== sheetText(before[key])
+        )
+      : [];
+    plan.push({
+      row,
+      action: before ? (changes.length ? "update" : "unchanged") : idText ? "update" : "create",
+      id: before?.id ?? null,
+      sku: has("sku") ? skuText || null : before?.sku ?? null,
+      name: data.name ?? before?.name ?? (cells.name?.trim() || null),
+      changes,
+      errors,
+      before,
+      body: before ? Object.fromEntries(changes.map((key) => [key, data[key]])) : data,
+    });
+  });
+  return plan;
+}
+
+// บันทึกผล planProductImport ใน transaction เดียว (แถวที่ไม่มีอะไรเปลี่ยนถูกข้ามไป)
+// คืน [{ item, row }] เพื่อเก็บ revision/audit log หลัง commit
+async function applyProductImport(plan) {
+  return withTransaction(async (client) => {
+    const written = [];
+    for (const item of plan) {
+      if (item.action === "create") {
+        const row = await insertProduct(client, item.body);
+        item.id = row.id;
+        written.push({ item, row });
+      } else if (item.action === "update") {
+        if (item.body.slug !== undefined) item.body.slug = await uniqueSlug("products", item.body.slug, item.id, { db: client });
+        const row = await dynamicUpdate("products", item.id, item.body, client);
+        await recordSlugChange("products", row.id, item.before.slug, row.slug, client);
+        written.push({ item, row });
+      }
+    }
+    return written;
+  });
+}
+
+// ผลการ import ที่ตอบ client (ตัดข้อมูลภายในของแต่ละแถวออก)
+function importReport(plan, dryRun) {
+  const count = (action) => plan.filter((item) => item.action === action && !item.errors.length).length;
+  return {
+    dry_run: dryRun,
+    summary: {
+      total: plan.length,
+      created: count("create"),
+      updated: count("update"),
+      unchanged: count("unchanged"),
+      errors: plan.filter((item) => item.errors.length).length,
+    },
+    rows: plan.map(({ row, action, id, sku, name, changes, errors }) => ({
+      row,
+      action,
+      id,
+      sku,
+      name,
+      ...(action === "update" ? { changes } : {}),
+      ...(errors.length ? { errors } : {}),
+    })),
+  };
+}
+
+// ==========================================
+// 🚀 API ZONE
+// ==========================================
+
+// --- Login ---
+app.post("/api/auth/login", validate(schemas.login), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const keys = loginThrottleKeys(username, req.ip);
+
+    const throttle = await reserveLoginAttempt(keys, username, req.ip);
+    if (throttle.retryAfter) return tooManyAttempts(res, throttle.retryAfter);
+
+    // หน่วงเวลาแบบทวีคูณตามจำนวนครั้งที่ผิดติดกัน
+    if (throttle.failures > 0) {
+      await sleep(Math.min(LOGIN_DELAY_MS * 2 ** (throttle.failures - 1), LOGIN_MAX_DELAY_MS));
+    }
+
+    const { rows } = await pool.query("SELECT * FROM public.admin_users WHERE username=$1", [username]);
+    const user = rows[0];
+
+    const { ok, needsRehash } = await verifyPassword(password, user?.password_hash);
+    if (!user || !ok || user.is_active === false) {
+      const retryAfter = await recordLoginFailure(throttle, username, req.ip);
+      if (retryAfter) return tooManyAttempts(res, retryAfter);
+      return res.status(401).json({ message: "Login failed" });
+    }
+    await clearLoginFailures(keys);
+
+    // อัปเกรดรหัสผ่าน plaintext เดิมเป็น bcrypt หลัง login สำเร็จ (เฉพาะถ้ายังเป็นค่าเดิม เผื่อมีการเปลี่ยนรหัสผ่านพร้อมกัน)
+    if (needsRehash) {
+      const hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+      await pool.query("UPDATE public.admin_users SET password_hash=$1 WHERE id=$2 AND password_hash=$3", [hash, user.id, user.password_hash]);
+    }
+
+    // ล้าง session ที่หมดอายุ/ถูก revoke ของผู้ใช้คนนี้ไปด้วย
+    await pool.query(
+      "DELETE FROM admin_sessions WHERE user_id=$1 AND (expires_at < now() OR revoked_at < now() - interval '7 days')",
+      [user.id]
+    );
+
+    const tokens = await createSession(user, req);
+    res.json({ ...tokens, user: { ...publicUser(user), permissions: permissionsOf(user.role) } });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// --- ต่ออายุ access token (refresh token จะถูกหมุนทุกครั้ง) ---
+app.post("/api/auth/refresh", async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+    if (!refresh_token || typeof refresh_token !== "string") {
+      return res.status(400).json({ message: "refresh_token is required" });
+    }
+    const tokenHash = hashToken(refresh_token);
 
-    -- news table
-    CREATE TABLE IF NOT EXISTS public.news (
-      id BIGSERIAL PRIMARY KEY,
-      title TEXT NOT NULL,
-      desc1 TEXT NOT NULL,
-      desc2 TEXT,
-      date_label TEXT NOT NULL,
-      cover_image_url TEXT,
-      gallery JSONB NOT NULL DEFAULT '[]'::jsonb,
-      is_active BOOLEAN NOT NULL DEFAULT true,
-      sort_order INTEGER NOT NULL DEFAULT 0,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
-      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    const { rows } = await pool.query(
+      `SELECT s.*, u.role, u.is_active FROM admin_sessions s JOIN admin_users u ON u.id = s.user_id
+       WHERE s.refresh_token_hash=$1`,
+      [tokenHash]
     );
+    const session = rows[0];
+
+    if (!session) {
+      // token ที่ถูกหมุนไปแล้วถูกใช้ซ้ำ -> ถือว่าหลุด ให้ revoke session นั้นทิ้ง
+      await pool.query(
+        "UPDATE admin_sessions SET revoked_at=now() WHERE previous_token_hash=$1 AND revoked_at IS NULL",
+        [tokenHash]
+      );
+      return res.status(401).json({ message: "Invalid refresh token" });
+    }
+    if (session.revoked_at || session.expires_at < new Date() || !session.is_active) {
+      return res.status(401).json({ message: "Session revoked" });
+    }
 
-    DO $$
-    BEGIN
-      IF NOT EXISTS (
-        SELECT 1 FROM pg_trigger WHERE tgname = 'trg_news_updated'
-      ) THEN
-        CREATE TRIGGER trg_news_updated
-        BEFORE UPDATE ON public.news
-        FOR EACH ROW
-        EXECUTE FUNCTION public.set_updated_at();
-      END IF;
-    END$$;
-
-    CREATE TABLE IF NOT EXISTS certifications (
-      id SERIAL PRIMARY KEY,
-      title VARCHAR(255) NOT NULL,
-      image_url TEXT DEFAULT '',
-      sort_order INT DEFAULT 0
+    const refreshToken = newRefreshToken();
+    await pool.query(
+      `UPDATE admin_sessions SET refresh_token_hash=$1, previous_token_hash=$2, last_used_at=now()
+       WHERE id=$3`,
+      [hashToken(refreshToken), tokenHash, session.id]
     );
 
-    CREATE TABLE IF NOT EXISTS customer_logos (
-      id SERIAL PRIMARY KEY,
-      name VARCHAR(255) NOT NULL,
-      image_url TEXT DEFAULT '',
-      sort_order INT DEFAULT 0
-    );
-    
-    -- ✅ เพิ่มตาราง partner_logos
-    CREATE TABLE IF NOT EXISTS partner_logos (
-      id SERIAL PRIMARY KEY,
-      name VARCHAR(255) NOT NULL,
-      image_url TEXT DEFAULT '',
-      sort_order INT DEFAULT 0,
-      is_active BOOLEAN DEFAULT true
-    );
+    res.json({
+      token: signAccessToken({ id: session.user_id, role: session.role }, session.id),
+      refresh_token: refreshToken,
+      expires_in: ACCESS_TOKEN_TTL,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    CREATE TABLE IF NOT EXISTS contact_page (
-      id INT PRIMARY KEY,
-      heading TEXT,
-      description TEXT,
-      email VARCHAR(255),
-      phone VARCHAR(50),
-      line_label VARCHAR(100),
-      line_url TEXT,
-      line_icon_url TEXT,
-      line_qr_url TEXT, -- ✅ เพิ่มคอลัมน์เก็บ QR Code
-      facebook_label VARCHAR(100),
-      facebook_url TEXT,
-      address_lines JSONB DEFAULT '[]',
-      open_hours TEXT,
-      map_title TEXT,
-      map_embed_url TEXT,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    );
+// ออกจากระบบด้วย refresh_token ใน body (ใช้ได้แม้ access token หมดอายุแล้ว) และ/หรือ access token ที่ยังใช้ได้
+// access token ที่หมดอายุหรือไม่ถูกต้องจะถูกข้ามไป ไม่ตอบ 401
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    const refreshToken = typeof req.body?.refresh_token === "string" ? req.body.refresh_token : null;
+    let sessionId = null;
+    const token = req.headers.authorization?.split(" ")[1];
+    if (token) {
+      try {
+        sessionId = jwt.verify(token, JWT_SECRET).sid ?? null;
+      } catch {
+        sessionId = null;
+      }
+    }
+    if (!refreshToken && !sessionId) return res.status(400).json({ message: "refresh_token is required" });
 
-    CREATE TABLE IF NOT EXISTS warranty_policy (
-      id INT PRIMARY KEY,
-      heading TEXT DEFAULT 'นโยบายการรับประกันสินค้า',
-      general_terms JSONB DEFAULT '[]',
-      exclusion_heading TEXT DEFAULT 'เงื่อนไขที่อยู่นอกเหนือการรับประกัน',
-      exclusions JSONB DEFAULT '[]',
-      
-      -- คอลัมน์ที่เพิ่มเข้ามาใหม่สำหรับการรับประกัน
-      product_warranty_heading TEXT,
-      product_warranty_desc TEXT,
-      product_warranties JSONB DEFAULT '[]',
-      claim_heading TEXT,
-      claim_steps JSONB DEFAULT '[]',
-      claim_notes TEXT,
-      
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    // refresh token ที่ถูกหมุนไปแล้ว (previous_token_hash) ก็ใช้ออกจากระบบได้
+    await pool.query(
+      `UPDATE admin_sessions SET revoked_at=now()
+       WHERE revoked_at IS NULL AND (id=$1 OR refresh_token_hash=$2 OR previous_token_hash=$2)`,
+      [sessionId, refreshToken ? hashToken(refreshToken) : null]
     );
+    res.json({ message: "Logged out" });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    INSERT INTO warranty_policy (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
-
-    -- ✅ ตรวจสอบและเพิ่มคอลัมน์ใหม่ในกรณีที่ตารางถูกสร้างไปก่อนหน้าแล้ว
-    DO $$
-    BEGIN
-      -- อัปเดตตาราง contact_page
-      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='contact_page' AND column_name='facebook_label') THEN
-          ALTER TABLE contact_page ADD COLUMN facebook_label VARCHAR(100);
-      END IF;
-      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='contact_page' AND column_name='facebook_url') THEN
-          ALTER TABLE contact_page ADD COLUMN facebook_url TEXT;
-      END IF;
-      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='contact_page' AND column_name='line_qr_url') THEN
-          ALTER TABLE contact_page ADD COLUMN line_qr_url TEXT;
-      END IF;
-
-      -- ✅ อัปเดตตาราง warranty_policy
-      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='warranty_policy' AND column_name='product_warranty_heading') THEN
-          ALTER TABLE warranty_policy ADD COLUMN product_warranty_heading TEXT;
-      END IF;
-      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='warranty_policy' AND column_name='product_warranty_desc') THEN
-          ALTER TABLE warranty_policy ADD COLUMN product_warranty_desc TEXT;
-      END IF;
-      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='warranty_policy' AND column_name='product_warranties') THEN
-          ALTER TABLE warranty_policy ADD COLUMN product_warranties JSONB DEFAULT '[]';
-      END IF;
-      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='warranty_policy' AND column_name='claim_heading') THEN
-          ALTER TABLE warranty_policy ADD COLUMN claim_heading TEXT;
-      END IF;
-      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='warranty_policy' AND column_name='claim_steps') THEN
-          ALTER TABLE warranty_policy ADD COLUMN claim_steps JSONB DEFAULT '[]';
-      END IF;
-      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='warranty_policy' AND column_name='claim_notes') THEN
-          ALTER TABLE warranty_policy ADD COLUMN claim_notes TEXT;
-      END IF;
-
-    END $$;
-
-    INSERT INTO admin_users (username, password_hash, role)
-    VALUES ('admin', '123456', 'admin')
-    ON CONFLICT (username) DO NOTHING;
-  `;
-
-  try {
-    await pool.query(createTablesQuery);
-    console.log("✅ Database Tables Initialized!");
-  } catch (e) {
-    console.error("❌ Failed to Initialize Database:", e.message);
-  }
-}
-
-pool
-  .connect()
-  .then(async (c) => {
-    console.log("✅ Database Connected!");
-    c.release();
-    await initDB();
-  })
-  .catch((e) => console.error("❌ DB Connection Failed:", e.message));
-
-// 4. ตั้งค่า Upload
-const __filename = fileURLToPath(import.meta.url);
-const DEFAULT_UPLOAD_DIR = "/home/tjc/DB_TJC-Corporation/uploads";
-const UPLOAD_DIR = process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR;
+// --- เปลี่ยนรหัสผ่านของตัวเอง ---
+app.put("/api/auth/password", authRequired, validate(schemas.changePassword), async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
 
-if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    const { rows } = await pool.query("SELECT * FROM public.admin_users WHERE id=$1", [req.user.id]);
+    if (!rows.length) return res.status(404).json({ message: "Not found" });
 
-app.use("/uploads", express.static(UPLOAD_DIR));
+    const { ok } = await verifyPassword(current_password, rows[0].password_hash);
+    if (!ok) return res.status(400).json({ message: "Current password is incorrect" });
 
-const upload = multer({
-  storage: multer.diskStorage({
-    destination: (_, __, cb) => cb(null, UPLOAD_DIR),
-    filename: (_, file, cb) => cb(null, Date.now() + path.extname(file.originalname)),
-  }),
+    const hash = await bcrypt.hash(new_password, BCRYPT_ROUNDS);
+    await pool.query("UPDATE public.admin_users SET password_hash=$1 WHERE id=$2", [hash, req.user.id]);
+    // ออกจากระบบทุกเครื่อง ยกเว้น session ปัจจุบัน
+    await revokeUserSessions(req.user.id, req.user.sid);
+    await audit(req, "change_password", "users", req.user.id);
+    res.json({ message: "Password changed" });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
-// 5. Middleware
-function authRequired(req, res, next) {
-  const token = req.headers.authorization?.split(" ")[1];
-  if (!token) return res.status(401).json({ message: "No Token" });
+// --- 👤 Admin Users ---
+app.get("/api/admin/users", authRequired, requirePermission("users:read"), validate(listQuerySchema(LISTS.users), "query"), async (req, res) => {
   try {
-    req.user = jwt.verify(token, JWT_SECRET);
-    next();
-  } catch {
-    res.status(401).json({ message: "Invalid Token" });
+    res.json(await listRows(LISTS.users, req.query));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
   }
-}
+});
 
-function adminRequired(req, res, next) {
-  if (req.user?.role !== "admin") return res.status(403).json({ message: "Admin Only" });
-  next();
-}
+app.post("/api/admin/users", authRequired, requirePermission("users:create"), validate(schemas.userCreate), async (req, res) => {
+  try {
+    const { username, password, role, is_active } = req.body;
 
-// 6. Helper Functions
-function generateSlug(title, existingSlug = "") {
-  if (existingSlug) return existingSlug;
-  if (!title) return `no-title-${Date.now()}`;
-  return title.trim().replace(/\s+/g, "-").toLowerCase();
-}
+    const hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const { rows } = await pool.query(
+      `INSERT INTO public.admin_users (username, password_hash, role, is_active)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [username, hash, role || "admin", is_active ?? true]
+    );
+    await audit(req, "create", "users", rows[0].id, { after: rows[0] });
+    res.json(publicUser(rows[0]));
+  } catch (e) {
+    if (e.code === "23505") return res.status(409).json({ message: "Username already exists" });
+    res.status(500).json({ error: e.message });
+  }
+});
 
-async function dynamicUpdate(table, id, updates) {
-  const fields = [];
-  const values = [];
-  let idx = 1;
+// ใช้สำหรับปิด/เปิดการใช้งาน เปลี่ยน role หรือรีเซ็ตรหัสผ่านให้ผู้ใช้อื่น
+app.patch("/api/admin/users/:id", authRequired, requirePermission("users:update"), validate(schemas.userPatch), async (req, res) => {
+  try {
+    const { role, is_active, password } = req.body;
+    const isSelf = String(req.user.id) === String(req.params.id);
+    if (isSelf && is_active === false) return res.status(400).json({ message: "Cannot disable your own account" });
+    if (isSelf && role !== undefined && role !== req.user.role) return res.status(400).json({ message: "Cannot change your own role" });
+
+    const updates = {};
+    if (role !== undefined) updates.role = role;
+    if (is_active !== undefined) updates.is_active = is_active;
+    if (password !== undefined) {
+      updates.password_hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    }
 
-  for (const [key, value] of Object.entries(updates)) {
-    if (key === "id") continue;
+    const before = await fetchRow("public.admin_users", req.params.id);
+    const updated = await dynamicUpdate("public.admin_users", req.params.id, updates);
+    if (!updated) return res.status(404).json({ message: "Not found or No changes" });
+    if (is_active === false || updates.password_hash) await revokeUserSessions(updated.id);
+    await audit(req, "update", "users", updated.id, { before, after: updated });
+    res.json(publicUser(updated));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    if (key === "subcategories" || key === "address_lines" || key === "gallery") {
-      fields.push(`${key}=$${idx++}::jsonb`);
-      values.push(JSON.stringify(value));
-    } else {
-      fields.push(`${key}=$${idx++}`);
-      values.push(value);
-    }
+app.get("/api/admin/users/:id/sessions", authRequired, requirePermission("users:read"), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, user_agent, ip, created_at, last_used_at, expires_at
+       FROM admin_sessions
+       WHERE user_id=$1 AND revoked_at IS NULL AND expires_at > now()
+       ORDER BY last_used_at DESC`,
+      [req.params.id]
+    );
+    res.json(rows);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
   }
+});
 
-  if (fields.length === 0) return null;
+// ออกจากระบบทุก session ของผู้ใช้
+app.delete("/api/admin/users/:id/sessions", authRequired, requirePermission("users:update"), async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.params.id);
+    await audit(req, "revoke_sessions", "users", req.params.id, { after: { revoked } });
+    res.json({ message: "Sessions revoked", revoked });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-  values.push(id);
-  const query = `UPDATE ${table} SET ${fields.join(", ")} WHERE id=$${idx} RETURNING *`;
+// ประวัติการล็อกการเข้าสู่ระบบ (?active=true เฉพาะที่ยังล็อกอยู่)
+// active=true เฉพาะที่ยังล็อกอยู่ (ไม่ใช่ filter แบบเท่ากับ จึงแยกออกก่อนส่งให้ listRows)
+const loginLockoutsQuery = listQuerySchema(LISTS.loginLockouts).extend({ active: zBool.optional() });
 
+app.get("/api/admin/login-lockouts", authRequired, requirePermission("users:read"), validate(loginLockoutsQuery, "query"), async (req, res) => {
   try {
-    const { rows } = await pool.query(query, values);
-    return rows[0];
+    const { active, ...query } = req.query;
+    res.json(await listRows(LISTS.loginLockouts, query, { where: active ? ["locked_until > now()"] : [] }));
   } catch (e) {
-    console.error(`Dynamic Update Error (${table}):`, e.message);
-    throw e;
+    res.status(500).json({ error: e.message });
   }
-}
-
-// ==========================================
-// 🚀 API ZONE
-// ==========================================
+});
 
-// --- Login ---
-app.post("/api/auth/login", async (req, res) => {
+// ปลดล็อกก่อนเวลา
+app.delete("/api/admin/login-lockouts/:id", authRequired, requirePermission("users:update"), async (req, res) => {
   try {
-    const { username, password } = req.body;
-    const { rows } = await pool.query("SELECT * FROM public.admin_users WHERE username=$1", [username]);
+    const { rows } = await pool.query("SELECT scope, value FROM login_lockouts WHERE id=$1", [req.params.id]);
+    if (!rows.length) return res.status(404).json({ message: "Not found" });
+    await pool.query("DELETE FROM login_attempts WHERE scope=$1 AND value=$2", [rows[0].scope, rows[0].value]);
+    await pool.query("UPDATE login_lockouts SET locked_until=LEAST(locked_until, now()) WHERE id=$1", [req.params.id]);
+    await audit(req, "unlock", "login-lockouts", req.params.id, { before: rows[0] });
+    res.json({ message: "Unlocked" });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    if (!rows.length || rows[0].password_hash !== password) {
-      return res.status(401).json({ message: "Login failed" });
+app.delete("/api/admin/users/:id", authRequired, requirePermission("users:delete"), async (req, res) => {
+  try {
+    if (String(req.user.id) === String(req.params.id)) {
+      return res.status(400).json({ message: "Cannot delete your own account" });
     }
-
-    const token = jwt.sign({ id: rows[0].id, role: rows[0].role }, JWT_SECRET, { expiresIn: "7d" });
-    res.json({ token, user: rows[0] });
+    const { rows } = await pool.query("DELETE FROM public.admin_users WHERE id=$1 RETURNING *", [req.params.id]);
+    if (!rows.length) return res.status(404).json({ message: "Not found" });
+    await audit(req, "delete", "users", rows[0].id, { before: rows[0] });
+    res.json({ message: "Deleted" });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
 // --- Upload ---
-app.post("/api/upload", authRequired, adminRequired, upload.single("file"), (req, res) => {
-  if (!req.file) return res.status(400).json({ message: "No file" });
-  res.json({ url: `/uploads/${req.file.filename}` });
+// POST /api/upload?purpose=image (ค่าเริ่มต้น) หรือ ?purpose=document สำหรับ PDF
+app.post("/api/upload", authRequired, requirePermission("uploads:create"), uploadSingle("file"), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: "No file" });
+    res.json(await recordUpload(req, req.file, req.query.purpose || "image"));
+  } catch (e) {
+    if (e instanceof UploadError) return res.status(e.status).json({ message: e.message });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/upload/multiple (field "files" ได้สูงสุด UPLOAD_MAX_FILES ไฟล์)
+// ไฟล์ที่ไม่ผ่านการตรวจจะอยู่ใน errors ส่วนไฟล์อื่นยังบันทึกตามปกติ
+app.post("/api/upload/multiple", authRequired, requirePermission("uploads:create"), uploadArray("files"), async (req, res) => {
+  try {
+    if (!req.files?.length) return res.status(400).json({ message: "No files" });
+
+    const data = [];
+    const errors = [];
+    for (const [index, file] of req.files.entries()) {
+      try {
+        data.push(await recordUpload(req, file, req.query.purpose || "image"));
+      } catch (e) {
+        if (!(e instanceof UploadError)) throw e;
+        errors.push({ index, file: file.originalname, status: e.status, message: e.message });
+      }
+    }
+    if (!data.length) return res.status(400).json({ message: "No files were uploaded", errors });
+    res.json({ data, errors });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
 // --- 🟢 1. Product Categories ---
-app.get("/api/product-categories", async (req, res) => {
+app.get("/api/product-categories", validate(listQuerySchema(LISTS.productCategories), "query"), async (req, res) => {
   try {
-    const { rows } = await pool.query("SELECT * FROM product_categories ORDER BY sort_order ASC");
-    res.json(rows);
+    res.json(await listRows(LISTS.productCategories, req.query, { where: ["is_active = true"], extra: [subcategoriesSql({ activeOnly: true })] }));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.post("/api/product-categories", authRequired, adminRequired, async (req, res) => {
+// สำหรับ Admin ดึงทั้งหมด (รวมที่ปิดการแสดงผล)
+app.get("/api/admin/product-categories", authRequired, requirePermission("product-categories:read"), validate(listQuerySchema(LISTS.productCategories), "query"), async (req, res) => {
   try {
-    const { title, sort_order, is_active, subcategories } = req.body;
-    const slug = generateSlug(title, req.body.slug);
+    res.json(await listRows(LISTS.productCategories, req.query, { extra: [subcategoriesSql()] }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/product-categories/by-slug/:slug", async (req, res) => {
+  try {
+    const { row, redirectTo } = await findBySlug("product_categories", req.params.slug, { extra: [subcategoriesSql({ activeOnly: true })] });
+    if (redirectTo) return res.redirect(301, `/api/product-categories/by-slug/${encodeURIComponent(redirectTo)}`);
+    if (!row) return res.status(404).json({ message: "Not found" });
+    res.json(row);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post("/api/product-categories", authRequired, requirePermission("product-categories:create"), validate(schemas.productCategory), async (req, res) => {
+  try {
+    const { title, sort_order, is_active, spec_template } = req.body;
+    const slug = await uniqueSlug("product_categories", req.body.slug || title);
     const { rows } = await pool.query(
-      `INSERT INTO product_categories (title, slug, sort_order, is_active, subcategories)
+      `INSERT INTO product_categories (title, slug, sort_order, is_active, spec_template)
        VALUES ($1, $2, $3, $4, $5::jsonb) RETURNING *`,
-      [title, slug, sort_order || 0, is_active ?? true, JSON.stringify(subcategories || [])]
+      [title, slug, sort_order || 0, is_active ?? true, JSON.stringify(spec_template || [])]
     );
+    await audit(req, "create", "product-categories", rows[0].id, { after: rows[0] });
     res.json(rows[0]);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.patch("/api/product-categories/:id", authRequired, adminRequired, async (req, res) => {
+app.patch("/api/product-categories/:id", authRequired, requirePermission("product-categories:update"), validate(schemas.productCategory.partial()), async (req, res) => {
   try {
-    if (req.body.title && !req.body.slug) req.body.slug = generateSlug(req.body.title);
+    const before = await fetchRow("product_categories", req.params.id);
+    const oldSlug = await prepareSlugUpdate("product_categories", req.params.id, req.body, "title");
     const updated = await dynamicUpdate("product_categories", req.params.id, req.body);
     if (!updated) return res.status(404).json({ message: "Not found or No changes" });
+    await recordSlugChange("product_categories", updated.id, oldSlug, updated.slug);
+    await audit(req, "update", "product-categories", updated.id, { before, after: updated });
     res.json(updated);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.delete("/api/product-categories/:id", authRequired, adminRequired, async (req, res) => {
+// DELETE /api/product-categories/:id?cascade=true ย้ายสินค้าในหมวดหมู่ลงถังขยะด้วย (ไม่ส่ง = ตอบ 409 ถ้ายังมีรายการอยู่)
+app.delete("/api/product-categories/:id", authRequired, requirePermission("product-categories:delete"), validate(schemas.categoryDelete, "query"), async (req, res) => {
   try {
-    const { rows } = await pool.query("DELETE FROM product_categories WHERE id=$1 RETURNING *", [req.params.id]);
-    if (!rows.length) return res.status(404).json({ message: "Not found" });
+    const result = await deleteCategory("product-categories", req.params.id, req.query);
+    if (!result) return res.status(404).json({ message: "Not found" });
+    const { row, cascaded } = result;
+    await audit(req, "delete", "product-categories", row.id, { before: { deleted_at: null }, after: { deleted_at: row.deleted_at, cascaded } });
+    res.json({ message: "Deleted", cascaded });
+  } catch (e) {
+    if (e.status === 409) return res.status(409).json({ message: e.message, references: e.references });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// --- หมวดหมู่ย่อยของสินค้า (ใช้สิทธิ์ของ product-categories) ---
+app.post("/api/product-categories/:id/subcategories", authRequired, requirePermission("product-categories:update"), validate(schemas.productSubcategory), async (req, res) => {
+  try {
+    const category = await pool.query("SELECT id FROM product_categories WHERE id=$1 AND deleted_at IS NULL", [req.params.id]);
+    if (!category.rows.length) return res.status(404).json({ message: "Category not found" });
+
+    const { title, sort_order, is_active } = req.body;
+    const slug = await uniqueSlug("product_subcategories", req.body.slug || title, null, { scope: { column: "category_id", value: req.params.id } });
+    const { rows } = await pool.query(
+      `INSERT INTO product_subcategories (category_id, title, slug, sort_order, is_active)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [req.params.id, title, slug, sort_order || 0, is_active ?? true]
+    );
+    await audit(req, "create", "product-subcategories", rows[0].id, { after: rows[0] });
+    res.json(rows[0]);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.patch("/api/product-subcategories/:id", authRequired, requirePermission("product-categories:update"), validate(schemas.productSubcategory.partial()), async (req, res) => {
+  try {
+    const before = await fetchRow("product_subcategories", req.params.id);
+    if (!before) return res.status(404).json({ message: "Not found" });
+    if (req.body.slug || req.body.title) {
+      const scope = { column: "category_id", value: before.category_id };
+      req.body.slug = await uniqueSlug("product_subcategories", req.body.slug || req.body.title, req.params.id, { scope });
+    }
+    const updated = await dynamicUpdate("product_subcategories", req.params.id, req.body);
+    if (!updated) return res.status(404).json({ message: "Not found or No changes" });
+    await audit(req, "update", "product-subcategories", updated.id, { before, after: updated });
+    res.json(updated);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ลบถาวร (หมวดหมู่ย่อยไม่มีถังขยะ) ?cascade=true ย้ายสินค้าในหมวดหมู่ย่อยลงถังขยะ ถ้ากู้คืนภายหลังจะไม่มีหมวดหมู่ย่อย
+app.delete("/api/product-subcategories/:id", authRequired, requirePermission("product-categories:delete"), validate(schemas.categoryDelete, "query"), async (req, res) => {
+  try {
+    const children = [{ resource: "products", table: "products", column: "subcategory_id" }];
+    const row = await withTransaction(async (client) => {
+      const references = await countReferences(client, children, req.params.id);
+      if (Object.keys(references).length && !req.query.cascade) {
+        const err = new Error(`Subcategory is still used by ${references.products} products. Pass ?cascade=true to move them to trash as well`);
+        err.status = 409;
+        err.references = references;
+        throw err;
+      }
+      await client.query("UPDATE products SET deleted_at=now() WHERE subcategory_id=$1 AND deleted_at IS NULL", [req.params.id]);
+      const { rows } = await client.query("DELETE FROM product_subcategories WHERE id=$1 RETURNING *", [req.params.id]);
+      return rows[0];
+    });
+    if (!row) return res.status(404).json({ message: "Not found" });
+    await audit(req, "delete", "product-subcategories", row.id, { before: row });
     res.json({ message: "Deleted" });
   } catch (e) {
+    if (e.status === 409) return res.status(409).json({ message: e.message, references: e.references });
     res.status(500).json({ error: e.message });
   }
 });
 
 // --- 🟢 2. Service Categories ---
-app.get("/api/service-categories", async (req, res) => {
+app.get("/api/service-categories", validate(listQuerySchema(LISTS.serviceCategories), "query"), async (req, res) => {
   try {
-    const { rows } = await pool.query("SELECT * FROM service_categories ORDER BY sort_order ASC");
-    res.json(rows);
+    res.json(await listRows(LISTS.serviceCategories, req.query, { where: ["is_active = true"] }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// สำหรับ Admin ดึงทั้งหมด (รวมที่ปิดการแสดงผล)
+app.get("/api/admin/service-categories", authRequired, requirePermission("service-categories:read"), validate(listQuerySchema(LISTS.serviceCategories), "query"), async (req, res) => {
+  try {
+    res.json(await listRows(LISTS.serviceCategories, req.query));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/service-categories/by-slug/:slug", async (req, res) => {
+  try {
+    const { row, redirectTo } = await findBySlug("service_categories", req.params.slug);
+    if (redirectTo) return res.redirect(301, `/api/service-categories/by-slug/${encodeURIComponent(redirectTo)}`);
+    if (!row) return res.status(404).json({ message: "Not found" });
+    res.json(row);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.post("/api/service-categories", authRequired, adminRequired, async (req, res) => {
+app.post("/api/service-categories", authRequired, requirePermission("service-categories:create"), validate(schemas.serviceCategory), async (req, res) => {
   try {
     const { title, sort_order, is_active } = req.body;
-    const slug = generateSlug(title, req.body.slug);
+    const slug = await uniqueSlug("service_categories", req.body.slug || title);
     const { rows } = await pool.query(
       `INSERT INTO service_categories (title, slug, sort_order, is_active)
        VALUES ($1, $2, $3, $4) RETURNING *`,
       [title, slug, sort_order || 0, is_active ?? true]
     );
+    await audit(req, "create", "service-categories", rows[0].id, { after: rows[0] });
     res.json(rows[0]);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.patch("/api/service-categories/:id", authRequired, adminRequired, async (req, res) => {
+app.patch("/api/service-categories/:id", authRequired, requirePermission("service-categories:update"), validate(schemas.serviceCategory.partial()), async (req, res) => {
+  try {
+    const before = await fetchRow("service_categories", req.params.id);
+    const oldSlug = await prepareSlugUpdate("service_categories", req.params.id, req.body, "title");
+    const updated = await dynamicUpdate("service_categories", req.params.id, req.body);
+    if (!updated) return res.status(404).json({ message: "Not found" });
+    await recordSlugChange("service_categories", updated.id, oldSlug, updated.slug);
+    await audit(req, "update", "service-categories", updated.id, { before, after: updated });
+    res.json(updated);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /api/service-categories/:id?cascade=true ย้ายบริการในหมวดหมู่ลงถังขยะด้วย (ไม่ส่ง = ตอบ 409 ถ้ายังมีรายการอยู่)
+app.delete("/api/service-categories/:id", authRequired, requirePermission("service-categories:delete"), validate(schemas.categoryDelete, "query"), async (req, res) => {
+  try {
+    const result = await deleteCategory("service-categories", req.params.id, req.query);
+    if (!result) return res.status(404).json({ message: "Not found" });
+    const { row, cascaded } = result;
+    await audit(req, "delete", "service-categories", row.id, { before: { deleted_at: null }, after: { deleted_at: row.deleted_at, cascaded } });
+    res.json({ message: "Deleted", cascaded });
+  } catch (e) {
+    if (e.status === 409) return res.status(409).json({ message: e.message, references: e.references });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// --- 🟢 3. Site Menu ---
+// product_count = จำนวนสินค้าที่เปิดแสดงผลในหมวดหมู่/หมวดหมู่ย่อย
+app.get("/api/site/menu", async (req, res) => {
+  try {
+    const p = await pool.query(
+      `SELECT c.id, c.title, c.slug,
+         (SELECT COUNT(*)::int FROM products p WHERE p.category_id = c.id AND ${ACTIVE_PRODUCT}) AS product_count,
+         COALESCE((
+           SELECT jsonb_agg(jsonb_build_object(
+             'id', s.id, 'title', s.title, 'slug', s.slug,
+             'product_count', (SELECT COUNT(*) FROM products p WHERE p.subcategory_id = s.id AND ${ACTIVE_PRODUCT})
+           ) ORDER BY s.sort_order, s.id)
+           FROM product_subcategories s WHERE s.category_id = c.id AND s.is_active = true
+         ), '[]'::jsonb) AS subcategories
+       FROM product_categories c WHERE c.is_active=true AND c.deleted_at IS NULL ORDER BY c.sort_order`
+    );
+    const s = await pool.query("SELECT id, title, slug FROM service_categories WHERE is_active=true AND deleted_at IS NULL ORDER BY sort_order");
+    res.json({ products: p.rows, services: s.rows });
+  } catch (e) {
+    res.status(500).json({ error: "Menu Error" });
+  }
+});
+
+// --- 📦 4. Products ---
+app.get("/api/products", validate(listQuerySchema(LISTS.products), "query"), async (req, res) => {
+  try {
+    res.json(await listRows(LISTS.products, req.query, { where: ["is_active = true", PRODUCT_CATEGORY_VISIBLE] }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// สำหรับ Admin ดึงทั้งหมด (รวมที่ปิดการแสดงผล)
+app.get("/api/admin/products", authRequired, requirePermission("products:read"), validate(listQuerySchema(LISTS.products), "query"), async (req, res) => {
+  try {
+    res.json(await listRows(LISTS.products, req.query));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/admin/products/export?format=csv|xlsx สินค้าทั้งหมดที่ไม่อยู่ในถังขยะ (รูปแบบคอลัมน์ดู productSheetRows)
+app.get("/api/admin/products/export", authRequired, requirePermission("products:read"), validate(schemas.productExport, "query"), async (req, res) => {
+  try {
+    const { format } = req.query;
+    const buffer = await writeSheet(format, await productSheetRows(), { sheetName: "Products" });
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    res.attachment(`products-${date}${SHEET_FORMATS[format].ext}`);
+    res.type(SHEET_FORMATS[format].mime);
+    res.send(buffer);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/admin/products/import (multipart field "file") ไฟล์ CSV/XLSX รูปแบบเดียวกับ export
+// ?dry_run=true ตรวจอย่างเดียว, ถ้ามีแถวที่ไม่ผ่านจะไม่บันทึกเลยสักแถวและตอบ 400 พร้อม error รายแถว
+// ?format= ใช้เมื่อชื่อไฟล์ไม่ได้ลงท้ายด้วย .csv/.xlsx
+app.post("/api/admin/products/import", authRequired, requirePermission("products:update"), importUpload, validate(schemas.productImport, "query"), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: "No file uploaded" });
+    const format = req.query.format ?? sheetFormatOf(req.file.originalname, req.file.buffer);
+    if (!format) return res.status(400).json({ message: "Unknown file format. Use .csv or .xlsx" });
+
+    let sheet;
+    try {
+      sheet = await readSheet(req.file.buffer, format);
+    } catch (e) {
+      return res.status(400).json({ message: `Could not read ${format} file: ${e.message}` });
+    }
+
+    const { dry_run } = req.query;
+    const plan = await planProductImport(sheet, { canCreate: hasPermission(req.user.role, "products:create") });
+    const report = importReport(plan, dry_run);
+    if (report.summary.errors && !dry_run) return res.status(400).json({ message: "Import has errors. Nothing was saved", ...report });
+    if (dry_run || report.summary.errors) return res.json(report);
+
+    const written = await applyProductImport(plan);
+    for (const { item, row } of written) {
+      await saveRevision(req, "products", row, "import");
+      await audit(req, item.action, "products", row.id, { before: item.before, after: row });
+    }
+    res.json(importReport(plan, dry_run));
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ message: e.message });
+    if (e.code === "23505") return res.status(409).json({ message: "SKU already exists" });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ค้นจาก slug (slug เก่าจะ redirect 301 ไปยัง slug ปัจจุบัน)
+app.get("/api/products/by-slug/:slug", async (req, res) => {
+  try {
+    const { row, redirectTo } = await findBySlug("products", req.params.slug, { visible: `is_active = true AND ${PRODUCT_CATEGORY_VISIBLE}` });
+    if (redirectTo) return res.redirect(301, `/api/products/by-slug/${encodeURIComponent(redirectTo)}`);
+    if (!row) return res.status(404).json({ message: "Not found" });
+    res.json(row);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/products/compare?ids=3,5,8 ตารางเปรียบเทียบ specifications (คอลัมน์เรียงตาม ids)
+// แถวเรียงตาม template ของหมวดหมู่ก่อน ต่อด้วย spec อื่นที่พบ, สินค้าที่ไม่มีค่านั้นเป็น null
+// differs = ค่าในแถวนั้นไม่เหมือนกันทุกสินค้า (ใช้ไฮไลต์ความต่าง)
+app.get("/api/products/compare", validate(schemas.productCompare, "query"), async (req, res) => {
+  try {
+    const { ids } = req.query;
+    const { rows } = await pool.query(
+      `SELECT p.id, p.name, p.slug, p.image_url, p.category_id, p.subcategory_id, p.specifications, c.spec_template
+       FROM products p JOIN product_categories c ON c.id = p.category_id
+       WHERE p.id = ANY($1::int[]) AND p.is_active = true AND p.deleted_at IS NULL AND ${PRODUCT_CATEGORY_VISIBLE}`,
+      [ids]
+    );
+    const byId = new Map(rows.map((r) => [r.id, r]));
+    const missing = ids.filter((id) => !byId.has(id));
+    if (missing.length) return res.status(404).json({ message: `Products not found: ${missing.join(", ")}` });
+    const products = ids.map((id) => byId.get(id));
+
+    const specRows = new Map();
+    const keyByLabel = new Map();
+    const addRow = (key, { label, type = "text", unit }) => {
+      if (!specRows.has(key)) specRows.set(key, { key, label: label ?? key, type, unit: unit ?? null, values: products.map(() => null) });
+      keyByLabel.set(String(label ?? key).toLowerCase(), key);
+    };
+    for (const product of products) {
+      for (const field of product.spec_template) addRow(field.key, field);
+    }
+    products.forEach((product, i) => {
+      for (const spec of product.specifications || []) {
+        // spec แบบเดิมที่ไม่มี key ใช้ label จับคู่กับแถวที่มีอยู่แล้ว
+        const key = spec?.key ?? keyByLabel.get(String(spec?.label ?? "").toLowerCase()) ?? spec?.label;
+        if (!key) continue;
+        addRow(key, spec);
+        specRows.get(key).values[i] = spec.value ?? null;
+      }
+    });
+
+    res.json({
+      products: products.map(({ specifications, spec_template, ...product }) => product),
+      specifications: [...specRows.values()].map((row) => ({
+        ...row,
+        differs: new Set(row.values.map((v) => JSON.stringify(v))).size > 1,
+      })),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/products/:id", validate(schemas.detailQuery, "query"), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT * FROM products WHERE id=$1 AND is_active=true AND deleted_at IS NULL AND ${PRODUCT_CATEGORY_VISIBLE}`,
+      [req.params.id]
+    );
+    if (!rows.length) return res.status(404).json({ message: "Not found" });
+    res.json(await withIncludes(req, "products", rows[0], { publicOnly: true }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/admin/products/:id", authRequired, requirePermission("products:read"), validate(schemas.detailQuery, "query"), async (req, res) => {
+  try {
+    const { rows } = await pool.query("SELECT * FROM products WHERE id=$1 AND deleted_at IS NULL", [req.params.id]);
+    if (!rows.length) return res.status(404).json({ message: "Not found" });
+    res.json(await withIncludes(req, "products", rows[0]));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post("/api/products", authRequired, requirePermission("products:create"), validate(schemas.product), async (req, res) => {
+  try {
+    await checkProductCategory(req.body);
+    await prepareSpecifications(req.body);
+    // รับ specifications เข้ามาด้วย
+    const row = await insertProduct(pool, req.body);
+    await saveRevision(req, "products", row);
+    await audit(req, "create", "products", row.id, { after: row });
+    res.json(row);
+  } catch (e) {
+    if (e instanceof ValidationError) return res.status(400).json({ message: "Validation failed", errors: e.errors });
+    if (e.code === "23505") return res.status(409).json({ message: "SKU already exists" });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.patch("/api/products/:id", authRequired, requirePermission("products:update"), validate(schemas.product.partial()), async (req, res) => {
   try {
-    if (req.body.title && !req.body.slug) req.body.slug = generateSlug(req.body.title);
-    const updated = await dynamicUpdate("service_categories", req.params.id, req.body);
-    if (!updated) return res.status(404).json({ message: "Not found" });
+    // รองรับการอัปเดต specifications
+    const before = await fetchRow("products", req.params.id);
+    await checkProductCategory(req.body, before ?? {});
+    await prepareSpecifications(req.body, before ?? {});
+    const oldSlug = await prepareSlugUpdate("products", req.params.id, req.body, "name");
+    const updated = await dynamicUpdate("products", req.params.id, req.body);
+    if (!updated) return res.status(404).json({ message: "Not found or No changes" });
+    await recordSlugChange("products", updated.id, oldSlug, updated.slug);
+    await saveRevision(req, "products", updated);
+    await audit(req, "update", "products", updated.id, { before, after: updated });
     res.json(updated);
   } catch (e) {
+    if (e instanceof ValidationError) return res.status(400).json({ message: "Validation failed", errors: e.errors });
+    if (e.code === "23505") return res.status(409).json({ message: "SKU already exists" });
     res.status(500).json({ error: e.message });
   }
 });
 
-app.delete("/api/service-categories/:id", authRequired, adminRequired, async (req, res) => {
+app.delete("/api/products/:id", authRequired, requirePermission("products:delete"), async (req, res) => {
   try {
-    const { rows } = await pool.query("DELETE FROM service_categories WHERE id=$1 RETURNING *", [req.params.id]);
+    const { rows } = await pool.query("UPDATE products SET deleted_at=now() WHERE id=$1 AND deleted_at IS NULL RETURNING *", [req.params.id]);
     if (!rows.length) return res.status(404).json({ message: "Not found" });
+    await audit(req, "delete", "products", rows[0].id, { before: { deleted_at: null }, after: { deleted_at: rows[0].deleted_at } });
     res.json({ message: "Deleted" });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// --- 🟢 3. Site Menu ---
-app.get("/api/site/menu", async (req, res) => {
+// --- 🛠 5. Services ---
+app.get("/api/services", validate(listQuerySchema(LISTS.services), "query"), async (req, res) => {
   try {
-    const p = await pool.query(
-      "SELECT id, title, slug, subcategories FROM product_categories WHERE is_active=true ORDER BY sort_order"
-    );
-    const s = await pool.query("SELECT id, title, slug FROM service_categories WHERE is_active=true ORDER BY sort_order");
-    res.json({ products: p.rows, services: s.rows });
+    res.json(await listRows(LISTS.services, req.query, { where: ["is_active = true", SERVICE_CATEGORY_VISIBLE] }));
   } catch (e) {
-    res.status(500).json({ error: "Menu Error" });
+    res.status(500).json({ error: e.message });
   }
 });
 
-// --- 📦 4. Products ---
-app.get("/api/products", async (req, res) => {
+// สำหรับ Admin ดึงทั้งหมด (รวมที่ปิดการแสดงผล)
+app.get("/api/admin/services", authRequired, requirePermission("services:read"), validate(listQuerySchema(LISTS.services), "query"), async (req, res) => {
   try {
-    const { rows } = await pool.query("SELECT * FROM products ORDER BY sort_order ASC");
-    res.json(rows);
+    res.json(await listRows(LISTS.services, req.query));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.get("/api/products/:id", async (req, res) => {
+// ค้นจาก slug (slug เก่าจะ redirect 301 ไปยัง slug ปัจจุบัน)
+app.get("/api/services/by-slug/:slug", async (req, res) => {
   try {
-    const { rows } = await pool.query("SELECT * FROM products WHERE id=$1", [req.params.id]);
-    if (!rows.length) return res.status(404).json({ message: "Not found" });
-    res.json(rows[0]);
+    const { row, redirectTo } = await findBySlug("services", req.params.slug, { visible: `is_active = true AND ${SERVICE_CATEGORY_VISIBLE}` });
+    if (redirectTo) return res.redirect(301, `/api/services/by-slug/${encodeURIComponent(redirectTo)}`);
+    if (!row) return res.status(404).json({ message: "Not found" });
+    res.json(row);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.post("/api/products", authRequired, adminRequired, async (req, res) => {
+app.get("/api/services/:id", validate(schemas.detailQuery, "query"), async (req, res) => {
   try {
-    // รับ specifications เข้ามาด้วย
-    const { category, subcategory, name, description, image_url, sort_order, is_active, cta_url, specifications } = req.body;
-
-    if (!category || !name) return res.status(400).json({ message: "Category and Name are required" });
-
     const { rows } = await pool.query(
-      `INSERT INTO products (category, subcategory, name, description, image_url, sort_order, is_active, cta_url, specifications)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9::jsonb) RETURNING *`,
-      [category, subcategory || "", name, description || "", image_url || "", sort_order || 0, is_active ?? true, cta_url || "", JSON.stringify(specifications || [])]
+      `SELECT * FROM services WHERE id=$1 AND is_active=true AND deleted_at IS NULL AND ${SERVICE_CATEGORY_VISIBLE}`,
+      [req.params.id]
     );
-    res.json(rows[0]);
+    if (!rows.length) return res.status(404).json({ message: "Not found" });
+    res.json(await withIncludes(req, "services", rows[0], { publicOnly: true }));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.patch("/api/products/:id", authRequired, adminRequired, async (req, res) => {
+app.get("/api/admin/services/:id", authRequired, requirePermission("services:read"), validate(schemas.detailQuery, "query"), async (req, res) => {
   try {
-    // รองรับการอัปเดต specifications
-    const updated = await dynamicUpdate("products", req.params.id, req.body);
-    if (!updated) return res.status(404).json({ message: "Not found or No changes" });
-    res.json(updated);
+    const { rows } = await pool.query("SELECT * FROM services WHERE id=$1 AND deleted_at IS NULL", [req.params.id]);
+    if (!rows.length) return res.status(404).json({ message: "Not found" });
+    res.json(await withIncludes(req, "services", rows[0]));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.delete("/api/products/:id", authRequired, adminRequired, async (req, res) => {
+app.post("/api/services", authRequired, requirePermission("services:create"), validate(schemas.service), async (req, res) => {
   try {
-    const { rows } = await pool.query("DELETE FROM products WHERE id=$1 RETURNING *", [req.params.id]);
-    if (!rows.length) return res.status(404).json({ message: "Not found" });
-    res.json({ message: "Deleted" });
+    await checkServiceCategory(req.body);
+    const { title, category_id, description, image_url, sort_order, is_active } = req.body;
+    const slug = await uniqueSlug("services", req.body.slug || title);
+    // ไม่ระบุ sort_order = ต่อท้ายรายการ
+    const { rows } = await pool.query(
+      `INSERT INTO services (title, slug, category_id, description, image_url, sort_order, is_active)
+       VALUES ($1, $2, $3, $4, $5, COALESCE($6, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM services)), $7) RETURNING *`,
+      [title, slug, category_id ?? null, description, image_url, sort_order ?? null, is_active ?? true]
+    );
+    await audit(req, "create", "services", rows[0].id, { after: rows[0] });
+    res.json(rows[0]);
   } catch (e) {
+    const invalid = e instanceof ValidationError ? e : pgValidationError(e);
+    if (invalid) return res.status(400).json({ message: "Validation failed", errors: invalid.errors });
+    if (e.code === "23505") return res.status(409).json({ message: "Slug already exists" });
     res.status(500).json({ error: e.message });
   }
 });
 
-// --- 🛠 5. Services ---
-app.get("/api/services", async (req, res) => {
+app.patch("/api/services/:id", authRequired, requirePermission("services:update"), validate(schemas.service.partial()), async (req, res) => {
   try {
-    const { rows } = await pool.query("SELECT * FROM services ORDER BY sort_order ASC");
-    res.json(rows);
+    const before = await fetchRow("services", req.params.id);
+    await checkServiceCategory(req.body);
+    const oldSlug = await prepareSlugUpdate("services", req.params.id, req.body, "title");
+    const updated = await dynamicUpdate("services", req.params.id, req.body);
+    if (!updated) return res.status(404).json({ message: "Not found" });
+    await recordSlugChange("services", updated.id, oldSlug, updated.slug);
+    await audit(req, "update", "services", updated.id, { before, after: updated });
+    res.json(updated);
   } catch (e) {
+    if (e instanceof ValidationError) return res.status(400).json({ message: "Validation failed", errors: e.errors });
     res.status(500).json({ error: e.message });
   }
 });
 
-app.get("/api/services/:id", async (req, res) => {
+app.delete("/api/services/:id", authRequired, requirePermission("services:delete"), async (req, res) => {
   try {
-    const { rows } = await pool.query("SELECT * FROM services WHERE id=$1", [req.params.id]);
+    const { rows } = await pool.query("UPDATE services SET deleted_at=now() WHERE id=$1 AND deleted_at IS NULL RETURNING *", [req.params.id]);
     if (!rows.length) return res.status(404).json({ message: "Not found" });
-    res.json(rows[0]);
+    await audit(req, "delete", "services", rows[0].id, { before: { deleted_at: null }, after: { deleted_at: rows[0].deleted_at } });
+    res.json({ message: "Deleted" });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.post("/api/services", authRequired, adminRequired, async (req, res) => {
+// --- 📰 6. News ---
+app.get("/api/news", validate(listQuerySchema(LISTS.news), "query"), async (req, res) => {
   try {
-    const { title, category, description, image_url, sort_order, is_active } = req.body;
-    const { rows } = await pool.query(
-      `INSERT INTO services (title, category, description, image_url, sort_order, is_active)
-       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
-      [title, category || "", description, image_url, sort_order, is_active]
-    );
-    res.json(rows[0]);
+    res.json(await listRows(LISTS.news, req.query, { where: [NEWS_VISIBLE] }));
   } catch (e) {
+    console.error("NEWS GET ERROR:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-app.patch("/api/services/:id", authRequired, adminRequired, async (req, res) => {
+// สำหรับ Admin ดึงทั้งหมด (รวมที่ปิดการแสดงผล)
+app.get("/api/admin/news", authRequired, requirePermission("news:read"), validate(listQuerySchema(LISTS.news), "query"), async (req, res) => {
   try {
-    const updated = await dynamicUpdate("services", req.params.id, req.body);
-    if (!updated) return res.status(404).json({ message: "Not found" });
-    res.json(updated);
+    res.json(await listRows(LISTS.news, req.query));
   } catch (e) {
+    console.error("NEWS ADMIN GET ERROR:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-app.delete("/api/services/:id", authRequired, adminRequired, async (req, res) => {
+// ค้นจาก slug (slug เก่าจะ redirect 301 ไปยัง slug ปัจจุบัน)
+app.get("/api/news/by-slug/:slug", async (req, res) => {
   try {
-    await pool.query("DELETE FROM services WHERE id=$1", [req.params.id]);
-    res.json({ message: "Deleted" });
+    const { row, redirectTo } = await findBySlug("public.news", req.params.slug, { visible: NEWS_VISIBLE });
+    if (redirectTo) return res.redirect(301, `/api/news/by-slug/${encodeURIComponent(redirectTo)}`);
+    if (!row) return res.status(404).json({ message: "Not found" });
+    res.json(row);
   } catch (e) {
+    console.error("NEWS GET BY SLUG ERROR:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-// --- 📰 6. News ---
-app.get("/api/news", async (req, res) => {
+app.get("/api/news/:id", validate(schemas.detailQuery, "query"), async (req, res) => {
   try {
-    const { rows } = await pool.query("SELECT * FROM public.news ORDER BY sort_order ASC, id ASC");
-    res.json(rows);
+    const { rows } = await pool.query(`SELECT * FROM public.news WHERE id=$1 AND deleted_at IS NULL AND ${NEWS_VISIBLE}`, [req.params.id]);
+    if (!rows.length) return res.status(404).json({ message: "Not found" });
+    res.json(await withIncludes(req, "news", rows[0], { publicOnly: true }));
   } catch (e) {
-    console.error("NEWS GET ERROR:", e);
+    console.error("NEWS GET BY ID ERROR:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-app.get("/api/news/:id", async (req, res) => {
+app.get("/api/admin/news/:id", authRequired, requirePermission("news:read"), validate(schemas.detailQuery, "query"), async (req, res) => {
   try {
-    const { rows } = await pool.query("SELECT * FROM public.news WHERE id=$1", [req.params.id]);
+    const { rows } = await pool.query("SELECT * FROM public.news WHERE id=$1 AND deleted_at IS NULL", [req.params.id]);
     if (!rows.length) return res.status(404).json({ message: "Not found" });
-    res.json(rows[0]);
+    res.json(await withIncludes(req, "news", rows[0]));
   } catch (e) {
-    console.error("NEWS GET BY ID ERROR:", e);
+    console.error("NEWS ADMIN GET BY ID ERROR:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-app.post("/api/news", authRequired, adminRequired, async (req, res) => {
+app.post("/api/news", authRequired, requirePermission("news:create"), validate(newsCreateSchema), async (req, res) => {
   try {
     const title = req.body.title ?? "";
     const desc1 = req.body.desc1 ?? req.body.content ?? "";
     const desc2 = req.body.desc2 ?? "";
-    const date_label = req.body.date_label ?? req.body.dateLabel ?? "";
+    req.body.date_label = req.body.date_label ?? req.body.dateLabel ?? "";
+    req.body.status = req.body.status ?? "published";
+    const scheduleError = prepareNewsPublishing(req.body);
+    if (scheduleError) {
+      return res.status(400).json({ message: "Validation failed", errors: [{ field: "unpublish_at", message: scheduleError }] });
+    }
+
+    const { date_label, status, published_at = null, publish_at = null, unpublish_at = null } = req.body;
     const cover_image_url = req.body.cover_image_url ?? req.body.image_url ?? "";
     const gallery = req.body.gallery ?? [];
     const sort_order = req.body.sort_order ?? 0;
     const is_active = req.body.is_active ?? true;
-
-    if (!title) return res.status(400).json({ message: "title is required" });
-    if (!desc1) return res.status(400).json({ message: "desc1/content is required" });
-    if (!date_label) return res.status(400).json({ message: "date_label is required" });
+    const slug = await uniqueSlug("public.news", req.body.slug || title);
 
     const { rows } = await pool.query(
-      `INSERT INTO public.news (title, desc1, desc2, date_label, cover_image_url, gallery, is_active, sort_order)
-       VALUES ($1,$2,$3,$4,$5,$6::jsonb,$7,$8)
+      `INSERT INTO public.news (title, slug, desc1, desc2, date_label, cover_image_url, gallery, is_active, sort_order,
+         status, published_at, publish_at, unpublish_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7::jsonb,$8,$9,$10,$11,$12,$13)
        RETURNING *`,
-      [title, desc1, desc2, date_label, cover_image_url, JSON.stringify(gallery), is_active, sort_order]
+      [title, slug, desc1, desc2, date_label, cover_image_url, JSON.stringify(gallery), is_active, sort_order,
+        status, published_at, publish_at, unpublish_at]
     );
+    await saveRevision(req, "news", rows[0]);
+    await audit(req, "create", "news", rows[0].id, { after: rows[0] });
     res.json(rows[0]);
   } catch (e) {
     console.error("NEWS POST ERROR:", e);
@@ -603,22 +3180,23 @@ app.post("/api/news", authRequired, adminRequired, async (req, res) => {
   }
 });
 
-app.patch("/api/news/:id", authRequired, adminRequired, async (req, res) => {
+app.patch("/api/news/:id", authRequired, requirePermission("news:update"), validate(schemas.news.partial()), async (req, res) => {
   try {
     if (req.body.content !== undefined && req.body.desc1 === undefined) req.body.desc1 = req.body.content;
     if (req.body.image_url !== undefined && req.body.cover_image_url === undefined) req.body.cover_image_url = req.body.image_url;
+    if (req.body.dateLabel !== undefined && req.body.date_label === undefined) req.body.date_label = req.body.dateLabel;
 
-    const allowed = new Set([
-      "title", "desc1", "desc2", "date_label", "cover_image_url", "gallery", "is_active", "sort_order",
-    ]);
-
-    const cleaned = {};
-    for (const [k, v] of Object.entries(req.body)) {
-      if (allowed.has(k)) cleaned[k] = v;
+    const before = await fetchRow("public.news", req.params.id);
+    const scheduleError = prepareNewsPublishing(req.body, before ?? {});
+    if (scheduleError) {
+      return res.status(400).json({ message: "Validation failed", errors: [{ field: "unpublish_at", message: scheduleError }] });
     }
-
-    const updated = await dynamicUpdate("public.news", req.params.id, cleaned);
+    const oldSlug = await prepareSlugUpdate("public.news", req.params.id, req.body, "title");
+    const updated = await dynamicUpdate("public.news", req.params.id, req.body);
     if (!updated) return res.status(404).json({ message: "Not found or No changes" });
+    await recordSlugChange("public.news", updated.id, oldSlug, updated.slug);
+    await saveRevision(req, "news", updated);
+    await audit(req, "update", "news", updated.id, { before, after: updated });
     res.json(updated);
   } catch (e) {
     console.error("NEWS PATCH ERROR:", e);
@@ -626,9 +3204,11 @@ app.patch("/api/news/:id", authRequired, adminRequired, async (req, res) => {
   }
 });
 
-app.delete("/api/news/:id", authRequired, adminRequired, async (req, res) => {
+app.delete("/api/news/:id", authRequired, requirePermission("news:delete"), async (req, res) => {
   try {
-    await pool.query("DELETE FROM public.news WHERE id=$1", [req.params.id]);
+    const { rows } = await pool.query("UPDATE public.news SET deleted_at=now() WHERE id=$1 AND deleted_at IS NULL RETURNING *", [req.params.id]);
+    if (!rows.length) return res.status(404).json({ message: "Not found" });
+    await audit(req, "delete", "news", rows[0].id, { before: { deleted_at: null }, after: { deleted_at: rows[0].deleted_at } });
     res.json({ message: "Deleted" });
   } catch (e) {
     console.error("NEWS DELETE ERROR:", e);
@@ -636,43 +3216,105 @@ app.delete("/api/news/:id", authRequired, adminRequired, async (req, res) => {
   }
 });
 
+// --- Gallery ของข่าว (แก้ทีละรายการโดยไม่ต้องส่งข่าวทั้งก้อน) ---
+// ตอบกลับ gallery ล่าสุดทั้งหมดเสมอ: { data: [...] }
+async function sendGalleryUpdate(req, res, action, change) {
+  try {
+    const result = await updateNewsGallery(req.params.id, change);
+    if (!result) return res.status(404).json({ message: "Not found" });
+    await saveRevision(req, "news", result.after, `Gallery ${action}`);
+    await audit(req, "update", "news", result.after.id, { before: result.before, after: result.after });
+    res.json({ data: result.after.gallery });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ message: e.message });
+    console.error("NEWS GALLERY ERROR:", e);
+    res.status(500).json({ error: e.message });
+  }
+}
+
+// POST /api/news/:id/gallery  { "items": [{ "url": "/uploads/a.jpg", "caption": "...", "alt": "..." }], "position": 0 }
+app.post("/api/news/:id/gallery", authRequired, requirePermission("news:update"), validate(schemas.newsGalleryAdd), (req, res) =>
+  sendGalleryUpdate(req, res, "add", (gallery) => {
+    // order ที่ส่งมากับรายการใหม่ไม่ใช้ ตำแหน่งกำหนดด้วย position (ไม่ระบุ = ต่อท้าย)
+    const items = req.body.items.map((item) => (typeof item === "string" ? { url: item } : { ...item, id: undefined, order: undefined }));
+    const at = Math.min(req.body.position ?? gallery.length, gallery.length);
+    return [...gallery.slice(0, at), ...items, ...gallery.slice(at)].map((item, index) => ({ ...item, order: index }));
+  })
+);
+
+// PUT /api/news/:id/gallery/order  { "ids": ["<item id>", ...] } รายการที่ไม่ได้ส่งมาต่อท้ายตามลำดับเดิม
+app.put("/api/news/:id/gallery/order", authRequired, requirePermission("news:update"), validate(schemas.newsGalleryOrder), (req, res) =>
+  sendGalleryUpdate(req, res, "reorder", (gallery) => {
+    const listed = req.body.ids.map((itemId) => gallery[galleryItemIndex(gallery, itemId)]);
+    const rest = gallery.filter((item) => !req.body.ids.includes(item.id));
+    return [...listed, ...rest].map((item, index) => ({ ...item, order: index }));
+  })
+);
+
+app.patch("/api/news/:id/gallery/:itemId", authRequired, requirePermission("news:update"), validate(schemas.newsGalleryItemPatch), (req, res) =>
+  sendGalleryUpdate(req, res, "update", (gallery) => {
+    const index = galleryItemIndex(gallery, req.params.itemId);
+    return gallery.map((item, i) => (i === index ? { ...item, ...req.body } : item));
+  })
+);
+
+app.delete("/api/news/:id/gallery/:itemId", authRequired, requirePermission("news:update"), (req, res) =>
+  sendGalleryUpdate(req, res, "remove", (gallery) => {
+    const index = galleryItemIndex(gallery, req.params.itemId);
+    return gallery.filter((item, i) => i !== index);
+  })
+);
+
 // --- 🏆 7. Certifications ---
-app.get("/api/certifications", async (req, res) => {
+app.get("/api/certifications", validate(listQuerySchema(LISTS.certifications), "query"), async (req, res) => {
   try {
-    const { rows } = await pool.query("SELECT * FROM certifications ORDER BY sort_order ASC");
-    res.json(rows);
+    res.json(await listRows(LISTS.certifications, req.query, { where: ["is_active = true"] }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// สำหรับ Admin ดึงทั้งหมด (รวมที่ปิดการแสดงผล)
+app.get("/api/admin/certifications", authRequired, requirePermission("certifications:read"), validate(listQuerySchema(LISTS.certifications), "query"), async (req, res) => {
+  try {
+    res.json(await listRows(LISTS.certifications, req.query));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.post("/api/certifications", authRequired, adminRequired, async (req, res) => {
+app.post("/api/certifications", authRequired, requirePermission("certifications:create"), validate(schemas.certification), async (req, res) => {
   try {
-    const { title, description, image_url, sort_order } = req.body;
+    const { title, description, image_url, sort_order, is_active } = req.body;
     const { rows } = await pool.query(
-      `INSERT INTO certifications (title, description, image_url, sort_order) 
-       VALUES ($1, $2, $3, $4) RETURNING *`,
-      [title, description || "", image_url, sort_order || 0]
+      `INSERT INTO certifications (title, description, image_url, sort_order, is_active) 
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [title, description || "", image_url, sort_order || 0, is_active ?? true]
     );
+    await audit(req, "create", "certifications", rows[0].id, { after: rows[0] });
     res.json(rows[0]);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.patch("/api/certifications/:id", authRequired, adminRequired, async (req, res) => {
+app.patch("/api/certifications/:id", authRequired, requirePermission("certifications:update"), validate(schemas.certification.partial()), async (req, res) => {
   try {
+    const before = await fetchRow("certifications", req.params.id);
     const updated = await dynamicUpdate("certifications", req.params.id, req.body);
     if (!updated) return res.status(404).json({ message: "Not found" });
+    await audit(req, "update", "certifications", updated.id, { before, after: updated });
     res.json(updated);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.delete("/api/certifications/:id", authRequired, adminRequired, async (req, res) => {
+app.delete("/api/certifications/:id", authRequired, requirePermission("certifications:delete"), async (req, res) => {
   try {
-    await pool.query("DELETE FROM certifications WHERE id=$1", [req.params.id]);
+    const { rows } = await pool.query("UPDATE certifications SET deleted_at=now() WHERE id=$1 AND deleted_at IS NULL RETURNING *", [req.params.id]);
+    if (!rows.length) return res.status(404).json({ message: "Not found" });
+    await audit(req, "delete", "certifications", rows[0].id, { before: { deleted_at: null }, after: { deleted_at: rows[0].deleted_at } });
     res.json({ message: "Deleted" });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -680,41 +3322,58 @@ app.delete("/api/certifications/:id", authRequired, adminRequired, async (req, r
 });
 
 // --- 🖼 8. Customer Logos ---
-app.get("/api/customer-logos", async (req, res) => {
+app.get("/api/customer-logos", validate(listQuerySchema(LISTS.customerLogos), "query"), async (req, res) => {
   try {
-    const { rows } = await pool.query("SELECT * FROM customer_logos ORDER BY sort_order ASC");
-    res.json(rows);
+    res.json(await listRows(LISTS.customerLogos, req.query, { where: ["is_active = true"] }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// สำหรับ Admin ดึงทั้งหมด (รวมที่ปิดการแสดงผล)
+app.get("/api/admin/customer-logos", authRequired, requirePermission("customer-logos:read"), validate(listQuerySchema(LISTS.customerLogos), "query"), async (req, res) => {
+  try {
+    res.json(await listRows(LISTS.customerLogos, req.query));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.post("/api/customer-logos", authRequired, adminRequired, async (req, res) => {
+app.post("/api/customer-logos", authRequired, requirePermission("customer-logos:create"), validate(schemas.customerLogo), async (req, res) => {
   try {
-    const { name, image_url, sort_order } = req.body;
+    const { name, image_url, sort_order, is_active } = req.body;
+    // ไม่ระบุ sort_order = ต่อท้ายรายการ
     const { rows } = await pool.query(
-      `INSERT INTO customer_logos (name, image_url, sort_order) VALUES ($1, $2, $3) RETURNING *`,
-      [name, image_url, sort_order]
+      `INSERT INTO customer_logos (name, image_url, sort_order, is_active)
+       VALUES ($1, $2, COALESCE($3, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM customer_logos)), $4) RETURNING *`,
+      [name, image_url, sort_order ?? null, is_active ?? true]
     );
+    await audit(req, "create", "customer-logos", rows[0].id, { after: rows[0] });
     res.json(rows[0]);
   } catch (e) {
+    const invalid = pgValidationError(e);
+    if (invalid) return res.status(400).json({ message: "Validation failed", errors: invalid.errors });
     res.status(500).json({ error: e.message });
   }
 });
 
-app.patch("/api/customer-logos/:id", authRequired, adminRequired, async (req, res) => {
+app.patch("/api/customer-logos/:id", authRequired, requirePermission("customer-logos:update"), validate(schemas.customerLogo.partial()), async (req, res) => {
   try {
+    const before = await fetchRow("customer_logos", req.params.id);
     const updated = await dynamicUpdate("customer_logos", req.params.id, req.body);
     if (!updated) return res.status(404).json({ message: "Not found" });
+    await audit(req, "update", "customer-logos", updated.id, { before, after: updated });
     res.json(updated);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.delete("/api/customer-logos/:id", authRequired, adminRequired, async (req, res) => {
+app.delete("/api/customer-logos/:id", authRequired, requirePermission("customer-logos:delete"), async (req, res) => {
   try {
-    await pool.query("DELETE FROM customer_logos WHERE id=$1", [req.params.id]);
+    const { rows } = await pool.query("UPDATE customer_logos SET deleted_at=now() WHERE id=$1 AND deleted_at IS NULL RETURNING *", [req.params.id]);
+    if (!rows.length) return res.status(404).json({ message: "Not found" });
+    await audit(req, "delete", "customer-logos", rows[0].id, { before: { deleted_at: null }, after: { deleted_at: rows[0].deleted_at } });
     res.json({ message: "Deleted" });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -722,52 +3381,55 @@ app.delete("/api/customer-logos/:id", authRequired, adminRequired, async (req, r
 });
 
 // --- 🤝 9. Partner Logos (✅ เพิ่มใหม่) ---
-app.get("/api/partner-logos", async (req, res) => {
+app.get("/api/partner-logos", validate(listQuerySchema(LISTS.partnerLogos), "query"), async (req, res) => {
   try {
-    // ดึงเฉพาะที่ active=true ถ้าจะใช้แสดงหน้าเว็บ แต่ถ้าในหน้า Admin อาจต้องดึงทั้งหมด
-    const { rows } = await pool.query("SELECT * FROM partner_logos WHERE is_active=true ORDER BY sort_order ASC");
-    res.json(rows);
+    // ดึงเฉพาะที่ active=true สำหรับแสดงหน้าเว็บ (หน้า Admin ใช้ /api/admin/partner-logos)
+    res.json(await listRows(LISTS.partnerLogos, req.query, { where: ["is_active = true"] }));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
 // สำหรับ Admin ดึงทั้งหมด
-app.get("/api/admin/partner-logos", authRequired, adminRequired, async (req, res) => {
+app.get("/api/admin/partner-logos", authRequired, requirePermission("partner-logos:read"), validate(listQuerySchema(LISTS.partnerLogos), "query"), async (req, res) => {
   try {
-    const { rows } = await pool.query("SELECT * FROM partner_logos ORDER BY sort_order ASC");
-    res.json(rows);
+    res.json(await listRows(LISTS.partnerLogos, req.query));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.post("/api/partner-logos", authRequired, adminRequired, async (req, res) => {
+app.post("/api/partner-logos", authRequired, requirePermission("partner-logos:create"), validate(schemas.partnerLogo), async (req, res) => {
   try {
     const { name, image_url, sort_order, is_active } = req.body;
     const { rows } = await pool.query(
       `INSERT INTO partner_logos (name, image_url, sort_order, is_active) VALUES ($1, $2, $3, $4) RETURNING *`,
       [name, image_url || "", sort_order || 0, is_active ?? true]
     );
+    await audit(req, "create", "partner-logos", rows[0].id, { after: rows[0] });
     res.json(rows[0]);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.patch("/api/partner-logos/:id", authRequired, adminRequired, async (req, res) => {
+app.patch("/api/partner-logos/:id", authRequired, requirePermission("partner-logos:update"), validate(schemas.partnerLogo.partial()), async (req, res) => {
   try {
+    const before = await fetchRow("partner_logos", req.params.id);
     const updated = await dynamicUpdate("partner_logos", req.params.id, req.body);
     if (!updated) return res.status(404).json({ message: "Not found" });
+    await audit(req, "update", "partner-logos", updated.id, { before, after: updated });
     res.json(updated);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.delete("/api/partner-logos/:id", authRequired, adminRequired, async (req, res) => {
+app.delete("/api/partner-logos/:id", authRequired, requirePermission("partner-logos:delete"), async (req, res) => {
   try {
-    await pool.query("DELETE FROM partner_logos WHERE id=$1", [req.params.id]);
+    const { rows } = await pool.query("UPDATE partner_logos SET deleted_at=now() WHERE id=$1 AND deleted_at IS NULL RETURNING *", [req.params.id]);
+    if (!rows.length) return res.status(404).json({ message: "Not found" });
+    await audit(req, "delete", "partner-logos", rows[0].id, { before: { deleted_at: null }, after: { deleted_at: rows[0].deleted_at } });
     res.json({ message: "Deleted" });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -788,7 +3450,7 @@ app.get("/api/site/contact", async (req, res) => {
 
 
 // --- ส่วนที่ 2: แก้ไข API PUT /api/site/contact ---
-app.put("/api/site/contact", authRequired, adminRequired, async (req, res) => {
+app.put("/api/site/contact", authRequired, requirePermission("contact:update"), validate(schemas.contact), async (req, res) => {
   try {
     const {
       heading,
@@ -845,7 +3507,10 @@ app.put("/api/site/contact", authRequired, adminRequired, async (req, res) => {
       map_embed_url,  // $14
     ];
 
+    const before = await fetchRow("contact_page", 1);
     const { rows } = await pool.query(query, values);
+    await saveRevision(req, "contact", rows[0]);
+    await audit(req, "update", "contact", 1, { before, after: rows[0] });
     res.json({ data: rows[0] });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -876,7 +3541,7 @@ app.get("/api/site/warranty", async (req, res) => {
   }
 });
 
-app.put("/api/site/warranty", authRequired, adminRequired, async (req, res) => {
+app.put("/api/site/warranty", authRequired, requirePermission("warranty:update"), validate(schemas.warranty), async (req, res) => {
   try {
     const {
       heading,
@@ -928,7 +3593,10 @@ app.put("/api/site/warranty", authRequired, adminRequired, async (req, res) => {
       claim_notes
     ];
 
+    const before = await fetchRow("warranty_policy", 1);
     const { rows } = await pool.query(query, values);
+    await saveRevision(req, "warranty", rows[0]);
+    await audit(req, "update", "warranty", 1, { before, after: rows[0] });
     res.json({ data: rows[0] });
   } catch (e) {
     console.error(e);
@@ -936,12 +3604,462 @@ app.put("/api/site/warranty", authRequired, adminRequired, async (req, res) => {
   }
 });
 
+// --- 🔎 11. Search ---
+// GET /api/search?q=กล้อง&type=products&limit=10&offset=0
+// ถ้าไม่ระบุ type จะค้นทุกประเภท และ limit/offset ใช้กับแต่ละกลุ่ม
+app.get("/api/search", validate(schemas.search, "query"), async (req, res) => {
+  try {
+    const { q, type, limit, offset } = req.query;
+    const terms = q.split(/\s+/).filter(Boolean).slice(0, 5);
+    const types = type ? [type] : Object.keys(SEARCH_TYPES);
+
+    const results = await Promise.all(types.map((t) => searchType(SEARCH_TYPES[t], q, terms, { limit, offset })));
+
+    const data = {};
+    const total = {};
+    types.forEach((t, i) => {
+      data[t] = results[i].items;
+      total[t] = results[i].total;
+    });
+    res.json({ data, meta: { q, limit, offset, total } });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// --- ↕️ 12. Reorder ---
+// PUT /api/products/order  { "ids": [5, 2, 9], "scope": { "category_id": 3 } }
+for (const [resource, config] of Object.entries(REORDERABLE)) {
+  app.put(`/api/${resource}/order`, authRequired, requirePermission(`${resource}:update`), validate(reorderSchema(config)), async (req, res) => {
+    try {
+      const data = await reorderRows(config, req.body.ids, req.body.scope);
+      await audit(req, "reorder", resource, null, { after: { ids: req.body.ids, scope: req.body.scope ?? {} } });
+      res.json({ data });
+    } catch (e) {
+      if (e.status === 400) return res.status(400).json({ message: e.message });
+      res.status(500).json({ error: e.message });
+    }
+  });
+}
+
+// --- 🗑️ 13. Trash ---
+// แสดงเฉพาะประเภทที่ผู้ใช้มีสิทธิ์ลบ (?type=products เพื่อกรองประเภทเดียว)
+app.get("/api/admin/trash", authRequired, validate(schemas.trashQuery, "query"), async (req, res) => {
+  try {
+    const { type, limit, offset } = req.query;
+    if (type && !TRASHABLE[type]) return res.status(400).json({ message: `Unknown type: ${type}` });
+
+    const types = (type ? [type] : Object.keys(TRASHABLE)).filter((t) => hasPermission(req.user.role, `${t}:delete`));
+    if (!types.length) return res.json({ data: [], meta: { total: 0, limit, offset, retention_days: TRASH_RETENTION_DAYS } });
+
+    const union = types
+      .map((t, i) => `SELECT $${i + 1}::text AS type, id::int AS id, ${TRASHABLE[t].label}::text AS label, deleted_at FROM ${TRASHABLE[t].table} WHERE deleted_at IS NOT NULL`)
+      .join(" UNION ALL ");
+
+    const [{ rows }, count] = await Promise.all([
+      pool.query(
+        `SELECT *, deleted_at + make_interval(days => $${types.length + 1}) AS purge_at
+         FROM (${union}) trash ORDER BY deleted_at DESC, id DESC
+         LIMIT $${types.length + 2} OFFSET $${types.length + 3}`,
+        [...types, TRASH_RETENTION_DAYS, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM (${union}) trash`, types),
+    ]);
+    res.json({ data: rows, meta: { total: count.rows[0].total, limit, offset, retention_days: TRASH_RETENTION_DAYS } });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+function trashTypeRequired(req, res, next) {
+  if (!TRASHABLE[req.params.type]) return res.status(404).json({ message: `Unknown type: ${req.params.type}` });
+  requirePermission(`${req.params.type}:delete`)(req, res, next);
+}
+
+app.post("/api/admin/trash/:type/:id/restore", authRequired, trashTypeRequired, async (req, res) => {
+  try {
+    const { table, children = [], parents = [] } = TRASHABLE[req.params.type];
+    const result = await withTransaction(async (client) => {
+      const { rows } = await client.query(`SELECT * FROM ${table} WHERE id=$1 AND deleted_at IS NOT NULL FOR UPDATE`, [req.params.id]);
+      if (!rows.length) return null;
+
+      // กู้คืนรายการได้เมื่อหมวดหมู่ของมันไม่อยู่ในถังขยะ
+      for (const parent of parents) {
+        if (rows[0][parent.column] == null) continue;
+        const { rows: found } = await client.query(`SELECT deleted_at FROM ${parent.table} WHERE id=$1`, [rows[0][parent.column]]);
+        if (found[0]?.deleted_at) {
+          const err = new Error(`Restore ${parent.resource} ${rows[0][parent.column]} first`);
+          err.status = 409;
+          throw err;
+        }
+      }
+      // รายการลูกที่ถูกลบพร้อมกัน (deleted_at เดียวกัน) จะถูกกู้คืนด้วย
+      const restored = {};
+      for (const child of children) {
+        const { rowCount } = await client.query(
+          `UPDATE ${child.table} SET deleted_at=NULL WHERE ${child.column}=$1 AND deleted_at=(SELECT deleted_at FROM ${table} WHERE id=$1)`,
+          [req.params.id]
+        );
+        if (rowCount) restored[child.resource] = rowCount;
+      }
+      const updated = await client.query(`UPDATE ${table} SET deleted_at=NULL WHERE id=$1 RETURNING *`, [req.params.id]);
+      return { row: updated.rows[0], restored };
+    });
+    if (!result) return res.status(404).json({ message: "Not found in trash" });
+    await audit(req, "restore", req.params.type, result.row.id, { after: Object.keys(result.restored).length ? { cascaded: result.restored } : null });
+    res.json(result.row);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ message: e.message });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ลบถาวร (เฉพาะรายการที่อยู่ในถังขยะแล้ว) รายการลูกที่อยู่ในถังขยะถูกลบถาวรไปด้วย
+app.delete("/api/admin/trash/:type/:id", authRequired, trashTypeRequired, async (req, res) => {
+  try {
+    const { table, children = [] } = TRASHABLE[req.params.type];
+    const rows = await withTransaction(async (client) => {
+      const found = await client.query(`SELECT id FROM ${table} WHERE id=$1 AND deleted_at IS NOT NULL FOR UPDATE`, [req.params.id]);
+      if (!found.rows.length) return [];
+
+      const references = await countReferences(client, children, req.params.id);
+      if (Object.keys(references).length) {
+        const err = new Error(`Still used by ${Object.entries(references).map(([r, n]) => `${n} ${r}`).join(", ")}`);
+        err.status = 409;
+        throw err;
+      }
+      for (const child of children) {
+        await client.query(`DELETE FROM ${child.table} WHERE ${child.column}=$1 AND deleted_at IS NOT NULL`, [req.params.id]);
+      }
+      return (await client.query(`DELETE FROM ${table} WHERE id=$1 RETURNING *`, [req.params.id])).rows;
+    });
+    if (!rows.length) return res.status(404).json({ message: "Not found in trash" });
+    await audit(req, "purge", req.params.type, rows[0].id, { before: rows[0] });
+    res.json({ message: "Purged" });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ message: e.message });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// --- 📝 14. Audit Log ---
+// GET /api/admin/audit?resource=contact&user_id=1&from=2025-01-01&to=2025-02-01
+app.get("/api/admin/audit", authRequired, requirePermission("audit:read"), validate(schemas.auditQuery, "query"), async (req, res) => {
+  try {
+    const { limit, offset, ...filters } = req.query;
+    const conds = [];
+    const params = [];
+    const add = (sql, value) => {
+      params.push(value);
+      conds.push(sql.replace("?", `$${params.length}`));
+    };
+
+    if (filters.user_id) add("user_id = ?", filters.user_id);
+    if (filters.username) add("username = ?", filters.username);
+    if (filters.resource) add("resource = ?", filters.resource);
+    if (filters.resource_id) add("resource_id = ?", filters.resource_id);
+    if (filters.action) add("action = ?", filters.action);
+    if (filters.from) add("created_at >= ?", filters.from);
+    if (filters.to) add("created_at < ?", filters.to);
+
+    const whereSql = conds.length ? `WHERE ${conds.join(" AND ")}` : "";
+    const [{ rows }, count] = await Promise.all([
+      pool.query(
+        `SELECT * FROM audit_log ${whereSql} ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM audit_log ${whereSql}`, params),
+    ]);
+    res.json({ data: rows, meta: { total: count.rows[0].total, limit, offset } });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// --- 🕘 15. Revisions ---
+// ใช้ได้กับ contact, warranty (id = 1), products และ news
+function revisionTypeRequired(req, res, next) {
+  if (!REVISIONED[req.params.type]) return res.status(404).json({ message: `Unknown type: ${req.params.type}` });
+  requirePermission(`${req.params.type}:update`)(req, res, next);
+}
+
+app.get("/api/admin/revisions/:type/:id", authRequired, revisionTypeRequired, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT revision, user_id, username, note, created_at FROM revisions
+       WHERE resource=$1 AND record_id=$2 ORDER BY revision DESC`,
+      [req.params.type, req.params.id]
+    );
+    res.json({ data: rows });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/admin/revisions/contact/1/diff?from=3&to=5 (ไม่ระบุ to = เทียบกับ revision ล่าสุด)
+app.get("/api/admin/revisions/:type/:id/diff", authRequired, revisionTypeRequired, validate(schemas.revisionDiff, "query"), async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    let { from, to } = req.query;
+    if (!to) {
+      const { rows } = await pool.query("SELECT MAX(revision) AS latest FROM revisions WHERE resource=$1 AND record_id=$2", [type, id]);
+      to = rows[0].latest;
+    }
+
+    const [a, b] = await Promise.all([getRevision(type, id, from), getRevision(type, id, to)]);
+    if (!a || !b) return res.status(404).json({ message: "Revision not found" });
+    res.json({ from, to, changes: auditDiff(a.data, b.data) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/admin/revisions/:type/:id/:rev", authRequired, revisionTypeRequired, async (req, res) => {
+  try {
+    const revision = await getRevision(req.params.type, req.params.id, req.params.rev);
+    if (!revision) return res.status(404).json({ message: "Revision not found" });
+    res.json(revision);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// rollback = บันทึกข้อมูลจาก revision เก่าทับของปัจจุบัน (และเก็บเป็น revision ใหม่)
+app.post("/api/admin/revisions/:type/:id/:rev/restore", authRequired, revisionTypeRequired, async (req, res) => {
+  try {
+    const { type, id, rev } = req.params;
+    const { table, slugSource, prepare } = REVISIONED[type];
+    const revision = await getRevision(type, id, rev);
+    if (!revision) return res.status(404).json({ message: "Revision not found" });
+
+    const before = await fetchRow(table, id);
+    if (!before) return res.status(404).json({ message: "Not found" });
+    let data = { ...revision.data };
+    // revision ก่อน migration 013 เก็บ gallery เป็น URL ล้วน
+    if (type === "news") data.gallery = normalizeGallery(data.gallery);
+    if (prepare) data = await prepare(data, before);
+    const oldSlug = slugSource ? await prepareSlugUpdate(table, id, data, slugSource) : null;
+    const updated = await dynamicUpdate(table, id, data);
+    if (!updated) return res.status(404).json({ message: "Not found" });
+    if (slugSource) await recordSlugChange(table, updated.id, oldSlug, updated.slug);
+
+    await saveRevision(req, type, updated, `Rollback to revision ${rev}`);
+    await audit(req, "rollback", type, updated.id, { before, after: updated });
+    res.json(updated);
+  } catch (e) {
+    if (e instanceof ValidationError) return res.status(400).json({ message: "Validation failed", errors: e.errors });
+    if (e.code === "23505") return res.status(409).json({ message: "Revision conflicts with another record (duplicate SKU or slug)" });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// --- 🖼 16. Media Library ---
+// GET /api/admin/media?q=logo&type=image&unused=true
+app.get("/api/admin/media", authRequired, requirePermission("media:read"), validate(schemas.mediaQuery, "query"), async (req, res) => {
+  try {
+    const { q, type, unused, limit, offset } = req.query;
+    const conds = [];
+    const params = [];
+    if (q) {
+      params.push(`%${escapeLike(q)}%`);
+      conds.push(`(coalesce(original_name, '') || ' ' || alt_text) ILIKE $${params.length}`);
+    }
+    if (type) conds.push(type === "image" ? "mime_type LIKE 'image/%'" : "mime_type NOT LIKE 'image/%'");
+    if (unused !== undefined) conds.push(`${unused ? "NOT " : ""}(${mediaReferencedSql("media.filename")})`);
+
+    const whereSql = conds.length ? `WHERE ${conds.join(" AND ")}` : "";
+    const [{ rows }, count] = await Promise.all([
+      pool.query(
+        `SELECT media.*, (${mediaReferencedSql("media.filename")}) AS in_use FROM media ${whereSql}
+         ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM media ${whereSql}`, params),
+    ]);
+    res.json({ data: rows, meta: { total: count.rows[0].total, limit, offset } });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/admin/media/:id", authRequired, requirePermission("media:read"), async (req, res) => {
+  try {
+    const row = await fetchRow("media", req.params.id);
+    if (!row) return res.status(404).json({ message: "Not found" });
+    res.json({ ...row, references: await mediaReferences(row.filename) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.patch("/api/admin/media/:id", authRequired, requirePermission("media:update"), validate(schemas.mediaPatch), async (req, res) => {
+  try {
+    const before = await fetchRow("media", req.params.id);
+    const { rows } = await pool.query("UPDATE media SET alt_text=$1 WHERE id=$2 RETURNING *", [req.body.alt_text, req.params.id]);
+    if (!rows.length) return res.status(404).json({ message: "Not found" });
+    await audit(req, "update", "media", rows[0].id, { before, after: rows[0] });
+    res.json(rows[0]);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ลบได้เฉพาะไฟล์ที่ไม่มีข้อมูลไหนอ้างอิงอยู่ (รวมถึงรายการในถังขยะ)
+app.delete("/api/admin/media/:id", authRequired, requirePermission("media:delete"), async (req, res) => {
+  try {
+    const row = await fetchRow("media", req.params.id);
+    if (!row) return res.status(404).json({ message: "Not found" });
+
+    const references = await mediaReferences(row.filename);
+    if (references.length) return res.status(409).json({ message: "Media is still in use", references });
+
+    await pool.query("DELETE FROM media WHERE id=$1", [row.id]);
+    await removeMediaFiles(row);
+    await audit(req, "delete", "media", row.id, { before: row });
+    res.json({ message: "Deleted" });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/admin/media/cleanup { "dry_run": true } = ดูรายการไฟล์กำพร้าโดยยังไม่ลบ
+app.post("/api/admin/media/cleanup", authRequired, requirePermission("media:delete"), validate(schemas.mediaCleanup), async (req, res) => {
+  try {
+    const dryRun = req.body.dry_run ?? false;
+    const rows = await cleanupOrphanMedia({ dryRun });
+    if (!dryRun && rows.length) {
+      await audit(req, "cleanup", "media", null, { after: { removed: rows.map((r) => r.filename) } });
+    }
+    res.json({ dry_run: dryRun, count: rows.length, data: rows });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/admin/media/sync { "dry_run": true } = ดูรายการไฟล์ใน storage ที่ยังไม่อยู่ใน media library โดยยังไม่บันทึก
+app.post("/api/admin/media/sync", authRequired, requirePermission("media:create"), validate(schemas.mediaSync), async (req, res) => {
+  try {
+    const dryRun = req.body.dry_run ?? false;
+    const rows = await syncMediaLibrary({ dryRun });
+    if (!dryRun && rows.length) {
+      await audit(req, "sync", "media", null, { after: { added: rows.map((r) => r.filename) } });
+    }
+    res.json({ dry_run: dryRun, count: rows.length, data: rows });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// --- 🔗 17. Related Items ---
+// จัดการลิงก์ได้ด้วยสิทธิ์ <type>:update ของรายการต้นทาง
+function relatedTypeRequired(req, res, next) {
+  if (!RELATED_TYPES[req.params.type]) return res.status(404).json({ message: `Unknown type: ${req.params.type}` });
+  requirePermission(`${req.params.type}:update`)(req, res, next);
+}
+
+async function relatedExists(type, id) {
+  const { rows } = await pool.query(`SELECT 1 FROM ${RELATED_TYPES[type].table} WHERE id=$1 AND deleted_at IS NULL`, [id]);
+  return rows.length > 0;
+}
+
+// รวมรายการที่ปิดการแสดงผลด้วย (is_active / status บอกว่าหน้าเว็บจะซ่อนหรือไม่)
+app.get("/api/admin/related/:type/:id", authRequired, relatedTypeRequired, async (req, res) => {
+  try {
+    if (!(await relatedExists(req.params.type, req.params.id))) return res.status(404).json({ message: "Not found" });
+    res.json({ data: await relatedItems(req.params.type, req.params.id) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/admin/related/products/3  { "items": [{ "type": "services", "id": 2 }, { "type": "news", "id": 10 }] }
+// ลิงก์ที่มีอยู่แล้ว (ทั้งสองทิศทาง) จะถูกข้าม
+app.post("/api/admin/related/:type/:id", authRequired, relatedTypeRequired, validate(schemas.relatedLinks), async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    if (!(await relatedExists(type, id))) return res.status(404).json({ message: "Not found" });
+
+    const errors = [];
+    for (const [i, item] of req.body.items.entries()) {
+      if (item.type === type && item.id === Number(id)) errors.push({ field: `items.${i}`, message: "Cannot link an item to itself" });
+      else if (!(await relatedExists(item.type, item.id))) errors.push({ field: `items.${i}`, message: `${item.type} ${item.id} not found` });
+    }
+    if (errors.length) return res.status(400).json({ message: "Validation failed", errors });
+
+    const added = [];
+    for (const item of req.body.items) {
+      const { rowCount } = await pool.query(
+        `INSERT INTO related_items (source_type, source_id, target_type, target_id, created_by)
+         SELECT $1::text, $2::bigint, $3::text, $4::bigint, $5
+         WHERE NOT EXISTS (SELECT 1 FROM related_items WHERE source_type=$3::text AND source_id=$4::bigint AND target_type=$1::text AND target_id=$2::bigint)
+         ON CONFLICT DO NOTHING`,
+        [type, id, item.type, item.id, req.user.id]
+      );
+      if (rowCount) added.push(item);
+    }
+    if (added.length) await audit(req, "link", type, id, { after: { related: added } });
+    res.json({ data: await relatedItems(type, id) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete("/api/admin/related/:type/:id/:targetType/:targetId", authRequired, relatedTypeRequired, async (req, res) => {
+  try {
+    const { type, id, targetType, targetId } = req.params;
+    const { rowCount } = await pool.query(
+      `DELETE FROM related_items
+       WHERE (source_type=$1 AND source_id=$2 AND target_type=$3 AND target_id=$4)
+          OR (source_type=$3 AND source_id=$4 AND target_type=$1 AND target_id=$2)`,
+      [type, id, targetType, targetId]
+    );
+    if (!rowCount) return res.status(404).json({ message: "Link not found" });
+    await audit(req, "unlink", type, id, { before: { related: [{ type: targetType, id: Number(targetId) }] } });
+    res.json({ data: await relatedItems(type, id) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 app.get("/health", (req, res) => {
   res.json({ status: "ok" });
 });
 
 // 11. Start Server
-app.listen(PORT, "0.0.0.0", () => {
-  console.log(`✅ Server running on http://0.0.0.0:${PORT}`);
-  console.log(`📦 Upload dir: ${UPLOAD_DIR}`);
-});
\ No newline at end of file
+// ไม่ยอมเปิด server ถ้า DB ต่อไม่ได้ หรือยังมี migration ที่ค้าง/ล้มเหลว
+async function startServer() {
+  try {
+    const status = await migrationStatus(pool);
+    console.log("✅ Database Connected!");
+
+    const blocking = status.filter((m) => m.state !== "applied");
+    if (blocking.length) {
+      for (const m of blocking) console.error(`❌ Migration ${m.version}_${m.name} is ${m.state}${m.error ? `: ${m.error}` : ""}`);
+      console.error("❌ Run `npm run migrate -- up` before starting the server");
+      process.exit(1);
+    }
+    for (const m of status.filter((m) => m.modified)) {
+      console.warn(`⚠️  Migration ${m.version}_${m.name} was modified after it was applied`);
+    }
+
+    await ensureDefaultAdmin();
+    await backfillSlugs();
+    await purgeExpiredTrash();
+  } catch (e) {
+    console.error("❌ DB Connection Failed:", e.message);
+    process.exit(1);
+  }
+
+  // ล้างถังขยะที่หมดอายุทุกชั่วโมง
+  setInterval(() => purgeExpiredTrash().catch((e) => console.error("Trash purge error:", e.message)), 60 * 60 * 1000).unref();
+  if (MEDIA_ORPHAN_CLEANUP) {
+    setInterval(() => cleanupOrphanMedia().catch((e) => console.error("Media cleanup error:", e.message)), 60 * 60 * 1000).unref();
+  }
+
+  app.listen(PORT, "0.0.0.0", () => {
+    console.log(`✅ Server running on http://0.0.0.0:${PORT}`);
+    console.log(`📦 Storage: ${storage.description}`);
+  });
+}
+
+startServer();
\ No newline at end of file
@@ -0,0 +1,143 @@
+import ExcelJS from "exceljs";
+
+// อ่าน/เขียนตารางข้อมูลเป็นไฟล์ CSV หรือ XLSX (ใช้กับ export/import สินค้า)
+// ข้อมูลอยู่ในรูป array ของแถว แต่ละแถวเป็น array ของค่า แถวแรกคือหัวคอลัมน์
+// ค่าที่อ่านได้เป็น string เสมอ (เซลล์ว่าง = "") เพื่อให้ทั้งสอง format ตรวจด้วย schema เดียวกันได้
+
+export const SHEET_FORMATS = {
+  csv: { ext: ".csv", mime: "text/csv; charset=utf-8" },
+  xlsx: { ext: ".xlsx", mime: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" },
+};
+
+// เดา format จากนามสกุลไฟล์ ถ้าไม่รู้จักดูจากเนื้อไฟล์ (xlsx เป็น zip ขึ้นต้นด้วย "PK\x03\x04")
+export function sheetFormatOf(filename, buffer) {
+  const name = String(filename || "").toLowerCase();
+  const byExt = Object.keys(SHEET_FORMATS).find((format) => name.endsWith(SHEET_FORMATS[format].ext));
+  if (byExt) return byExt;
+  if (buffer?.length >= 4 && buffer.readUInt32BE(0) === 0x504b0304) return "xlsx";
+  return null;
+}
+
+// ข้อความที่ขึ้นต้นด้วย = + - @ tab หรือ CR จะถูก Excel ตีความเป็นสูตร (CSV/formula injection)
+// CSV: เติม ' นำหน้า (ข้อความที่ขึ้นต้นด้วย ' อยู่แล้วก็เติมอีกตัว เพื่อให้ตอน import ตัดออกได้ตัวเดียวเสมอ)
+const FORMULA_PREFIX = /^'*[=+\-@\t\r]/;
+
+function formulaSafe(text) {
+  return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+}
+
+function unguardFormula(text) {
+  return FORMULA_PREFIX.test(text) && text.startsWith("'") ? text.slice(1) : text;
+}
+
+// --- CSV (RFC 4180) ---
+// ตัวเลข/boolean เขียนตามค่าจริง (เช่น -5 ไม่ใช่สูตร) ส่วน string ผ่าน formulaSafe
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text =
+    value instanceof Date ? value.toISOString() : typeof value === "object" ? formulaSafe(JSON.stringify(value)) : typeof value === "string" ? formulaSafe(value) : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ขึ้นต้นด้วย BOM เพื่อให้ Excel เปิดภาษาไทยได้ถูกต้อง
+function writeCsv(rows) {
+  return Buffer.from("\ufeff" + rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n", "utf8");
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch !== '"') {
+        cell += ch;
+      } else if (text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(unguardFormula(cell));
+      cell = "";
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(unguardFormula(cell));
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new Error("CSV has an unterminated quoted value");
+  if (cell !== "" || row.length) {
+    row.push(unguardFormula(cell));
+    rows.push(row);
+  }
+  return rows;
+}
+
+// --- XLSX ---
+// ค่าของเซลล์ใน exceljs อาจเป็น rich text, hyperlink, สูตร (ใช้ผลลัพธ์) หรือ Date
+function xlsxCellText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== "object") return String(value);
+  if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join("");
+  if ("result" in value) return xlsxCellText(value.result);
+  if ("text" in value) return xlsxCellText(value.text);
+  return "";
+}
+
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  // แถวว่างใน xlsx ไม่มีอยู่ในไฟล์ จึงเติมเป็นแถวว่างให้เลขแถวตรงกับที่เห็นใน Excel
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row, number) => {
+    while (rows.length < number - 1) rows.push([]);
+    const cells = [];
+    for (let col = 1; col <= row.cellCount; col++) cells.push(xlsxCellText(row.getCell(col).value));
+    rows.push(cells);
+  });
+  return rows;
+}
+
+// string ถูกเขียนเป็นเซลล์ข้อความ (shared string ไม่ใช่สูตร) จึงไม่ต้องเติม ' แบบ CSV
+// ข้อความที่ดูเหมือนสูตรตั้ง format เป็น Text ("@") ด้วย เพื่อให้ Excel ไม่แปลงเป็นสูตรตอนผู้ใช้แก้เซลล์นั้น
+async function writeXlsx(rows, sheetName) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName, { views: [{ state: "frozen", ySplit: 1 }] });
+  for (const row of rows) {
+    const added = sheet.addRow(row.map((value) => (value !== null && typeof value === "object" && !(value instanceof Date) ? JSON.stringify(value) : value)));
+    added.eachCell((cell) => {
+      if (typeof cell.value === "string" && FORMULA_PREFIX.test(cell.value)) cell.numFmt = "@";
+    });
+  }
+  sheet.getRow(1).font = { bold: true };
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// คืน array ของแถว (ค่าเป็น string), แถวที่ i ของ array คือแถวที่ i + 1 ในไฟล์
+export async function readSheet(buffer, format) {
+  if (format === "csv") return parseCsv(buffer.toString("utf8"));
+  if (format === "xlsx") return readXlsx(buffer);
+  throw new Error(`Unknown sheet format: ${format}`);
+}
+
+export async function writeSheet(format, rows, { sheetName = "Sheet1" } = {}) {
+  if (format === "csv") return writeCsv(rows);
+  if (format === "xlsx") return writeXlsx(rows, sheetName);
+  throw new Error(`Unknown sheet format: ${format}`);
+}
@@ -0,0 +1,357 @@
+import dotenv from "dotenv";
+import { Pool } from "pg";
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from "@aws-sdk/client-s3";
+
+// ที่เก็บไฟล์อัปโหลด เลือก driver ด้วย STORAGE_DRIVER=local (ค่าเริ่มต้น) หรือ s3 (AWS S3, MinIO, R2 ฯลฯ)
+// ทุก driver มีเมธอดเดียวกัน: put, get, read, exists, delete, list, urlFor
+// key คือชื่อไฟล์ใน storage เช่น "1700000000000-ab12cd34.jpg" หรือ ".cache/<ชื่อไฟล์>-w320.jpg"
+
+const __filename = fileURLToPath(import.meta.url);
+export const DEFAULT_UPLOAD_DIR = "/home/tjc/DB_TJC-Corporation/uploads";
+
+// คอลัมน์ที่เก็บ URL ของไฟล์อัปโหลด (ใช้ตรวจการอ้างอิงใน media library และตอนย้าย storage)
+export const MEDIA_REFERENCES = [
+  { resource: "products", table: "products", columns: ["image_url"] },
+  { resource: "services", table: "services", columns: ["image_url"] },
+  { resource: "news", table: "public.news", columns: ["cover_image_url", "gallery"] },
+  { resource: "certifications", table: "certifications", columns: ["image_url"] },
+  { resource: "customer-logos", table: "customer_logos", columns: ["image_url"] },
+  { resource: "partner-logos", table: "partner_logos", columns: ["image_url"] },
+  { resource: "contact", table: "contact_page", columns: ["line_icon_url", "line_qr_url"] },
+];
+
+// ใช้ตั้ง Content-Type ตอนย้ายไฟล์จาก storage ที่ไม่ได้เก็บ Content-Type ไว้ (local)
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".pdf": "application/pdf",
+};
+
+class StorageConflictError extends Error {
+  constructor(key) {
+    super(`File already exists: ${key}`);
+    this.code = "EEXIST";
+  }
+}
+
+export function localStorage({ dir, baseUrl = "/uploads" }) {
+  const root = path.resolve(dir);
+  fs.mkdirSync(root, { recursive: true });
+
+  // กัน key ที่พยายามออกนอกโฟลเดอร์ (เช่น "../server.js")
+  const fullPath = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  async function* walk(folder) {
+    const entries = await fs.promises.readdir(folder, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      const file = path.join(folder, entry.name);
+      if (entry.isDirectory()) {
+        yield* walk(file);
+      } else if (entry.isFile()) {
+        const stat = await fs.promises.stat(file);
+        yield { key: path.relative(root, file).split(path.sep).join("/"), size: stat.size, lastModified: stat.mtime };
+      }
+    }
+  }
+
+  return {
+    name: "local",
+    description: `local disk (${root})`,
+    dir: root,
+
+    async put(key, data, { overwrite = false } = {}) {
+      const file = fullPath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      try {
+        await fs.promises.writeFile(file, data, { flag: overwrite ? "w" : "wx" });
+      } catch (e) {
+        if (e.code === "EEXIST") throw new StorageConflictError(key);
+        throw e;
+      }
+    },
+
+    async get(key) {
+      try {
+        const file = fullPath(key);
+        const stat = await fs.promises.stat(file);
+        if (!stat.isFile()) return null;
+        return { body: fs.createReadStream(file), size: stat.size, lastModified: stat.mtime, contentType: null };
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+
+    // อ่านทั้งไฟล์ หรือเฉพาะ length ไบต์แรก
+    async read(key, { length } = {}) {
+      try {
+        if (!length) return await fs.promises.readFile(fullPath(key));
+        const handle = await fs.promises.open(fullPath(key), "r");
+        try {
+          const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+          return buffer.subarray(0, bytesRead);
+        } finally {
+          await handle.close();
+        }
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+
+    async exists(key) {
+      return fs.promises.stat(fullPath(key)).then((s) => s.isFile(), () => false);
+    },
+
+    async delete(key) {
+      await fs.promises.rm(fullPath(key), { force: true });
+    },
+
+    async *list(prefix = "") {
+      for await (const item of walk(root)) {
+        if (item.key.startsWith(prefix)) yield item;
+      }
+    },
+
+    urlFor(key) {
+      return `${baseUrl}/${key}`;
+    },
+  };
+}
+
+// S3-compatible: ตั้ง S3_ENDPOINT + S3_FORCE_PATH_STYLE=true สำหรับ MinIO
+// ถ้าไม่ตั้ง publicUrl ไฟล์จะถูกส่งผ่าน /uploads ของ API เหมือน local
+export function s3Storage({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix = "", publicUrl }) {
+  if (!bucket) throw new Error("S3_BUCKET is required when STORAGE_DRIVER=s3");
+  const client = new S3Client({
+    region: region || "us-east-1",
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(forcePathStyle),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+  const objectKey = (key) => `${prefix}${key}`;
+  const notFound = (e) => e.name === "NoSuchKey" || e.name === "NotFound" || e.$metadata?.httpStatusCode === 404;
+
+  return {
+    name: "s3",
+    description: `s3 (${endpoint || "aws"}/${bucket}${prefix ? `/${prefix}` : ""})`,
+
+    async put(key, data, { contentType, overwrite = false } = {}) {
+      try {
+        await client.send(
+          new PutObjectCommand({
+            Bucket: bucket,
+            Key: objectKey(key),
+            Body: data,
+            ContentType: contentType,
+            // เขียนเฉพาะเมื่อยังไม่มี object นี้ (conditional write)
+            IfNoneMatch: overwrite ? undefined : "*",
+          })
+        );
+      } catch (e) {
+        if (e.$metadata?.httpStatusCode === 412) throw new StorageConflictError(key);
+        throw e;
+      }
+    },
+
+    async get(key) {
+      try {
+        const out = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return { body: out.Body, size: out.ContentLength, lastModified: out.LastModified, contentType: out.ContentType, etag: out.ETag };
+      } catch (e) {
+        if (notFound(e)) return null;
+        throw e;
+      }
+    },
+
+    async read(key, { length } = {}) {
+      try {
+        const out = await client.send(
+          new GetObjectCommand({ Bucket: bucket, Key: objectKey(key), Range: length ? `bytes=0-${length - 1}` : undefined })
+        );
+        return Buffer.from(await out.Body.transformToByteArray());
+      } catch (e) {
+        if (notFound(e)) return null;
+        throw e;
+      }
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (e) {
+        if (notFound(e)) return false;
+        throw e;
+      }
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+
+    async *list(listPrefix = "") {
+      let token;
+      do {
+        const out = await client.send(
+          new ListObjectsV2Command({ Bucket: bucket, Prefix: objectKey(listPrefix), ContinuationToken: token })
+        );
+        for (const item of out.Contents || []) {
+          yield { key: item.Key.slice(prefix.length), size: item.Size, lastModified: item.LastModified };
+        }
+        token = out.IsTruncated ? out.NextContinuationToken : undefined;
+      } while (token);
+    },
+
+    urlFor(key) {
+      return publicUrl ? `${publicUrl.replace(/\/+$/, "")}/${key}` : `/uploads/${key}`;
+    },
+  };
+}
+
+export function storageFromEnv(driver = process.env.STORAGE_DRIVER || "local", env = process.env) {
+  if (driver === "local") return localStorage({ dir: env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR });
+  if (driver === "s3") {
+    return s3Storage({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === "true",
+      prefix: env.S3_PREFIX || "",
+      publicUrl: env.S3_PUBLIC_URL,
+    });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+}
+
+// URL เดิมของ local อาจถูกเก็บเป็น "/uploads/x.jpg" หรือ "https://api.example.com/uploads/x.jpg"
+function urlPrefixPattern(prefix) {
+  const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return prefix.startsWith("/") ? `(https?://[^/"]+)?${escaped}` : escaped;
+}
+
+// แก้ URL ที่อ้างถึง storage เดิมให้ชี้ไป storage ใหม่ ในทุกคอลัมน์ของ MEDIA_REFERENCES ตาราง media
+// และ snapshot ใน revisions (ไม่งั้นกู้คืน revision เก่าแล้วจะได้ URL ที่ชี้ไป storage เดิม)
+async function rewriteUrls(client, fromPrefix, toPrefix) {
+  const pattern = urlPrefixPattern(fromPrefix);
+  const targets = [
+    ...MEDIA_REFERENCES.map(({ table, columns }) => ({ table, columns })),
+    { table: "media", columns: ["url", "variants"] },
+    { table: "revisions", columns: ["data"] },
+  ];
+
+  const { rows: jsonbColumns } = await client.query(
+    "SELECT table_name, column_name FROM information_schema.columns WHERE data_type = 'jsonb' AND table_schema = 'public'"
+  );
+  const isJsonb = (table, col) => jsonbColumns.some((c) => c.table_name === table.replace(/^public\./, "") && c.column_name === col);
+
+  let updated = 0;
+  for (const { table, columns } of targets) {
+    for (const col of columns) {
+      // jsonb: แทนที่เฉพาะ string ที่ขึ้นต้นด้วย prefix เดิม (หลังเครื่องหมาย ")
+      const sql = isJsonb(table, col)
+        ? `UPDATE ${table} SET ${col} = regexp_replace(${col}::text, $1, $2, 'g')::jsonb WHERE ${col}::text ~ $1`
+        : `UPDATE ${table} SET ${col} = regexp_replace(${col}, $1, $2) WHERE ${col} ~ $1`;
+      const [re, replacement] = isJsonb(table, col) ? [`"${pattern}`, `"${toPrefix}`] : [`^${pattern}`, toPrefix];
+      const { rowCount } = await client.query(sql, [re, replacement.replace(/\\/g, "\\\\")]);
+      updated += rowCount;
+    }
+  }
+  return updated;
+}
+
+// คัดลอกไฟล์ทั้งหมดจาก storage หนึ่งไปอีก storage หนึ่ง (ข้ามไฟล์ที่มีอยู่แล้ว) แล้วแก้ URL ในฐานข้อมูล
+export async function migrateFiles(pool, from, to, { dryRun = false, log = console.log } = {}) {
+  let copied = 0;
+  let skipped = 0;
+  for await (const { key } of from.list("")) {
+    if (key.startsWith(".cache/")) continue;
+    if (await to.exists(key)) {
+      skipped++;
+      continue;
+    }
+    if (!dryRun) {
+      const obj = await from.get(key);
+      const chunks = [];
+      for await (const chunk of obj.body) chunks.push(chunk);
+      const contentType = obj.contentType || CONTENT_TYPES[path.extname(key).toLowerCase()];
+      await to.put(key, Buffer.concat(chunks), { contentType, overwrite: true });
+    }
+    copied++;
+  }
+  log(`${dryRun ? "Would copy" : "📦 Copied"} ${copied} files (${skipped} already in ${to.name})`);
+
+  const fromPrefix = from.urlFor("");
+  const toPrefix = to.urlFor("");
+  if (fromPrefix === toPrefix) {
+    log("URLs are unchanged, nothing to rewrite");
+    return { copied, skipped, rewritten: 0 };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const rewritten = await rewriteUrls(client, fromPrefix, toPrefix);
+    await client.query(dryRun ? "ROLLBACK" : "COMMIT");
+    log(`${dryRun ? "Would rewrite" : "🔗 Rewrote"} URLs in ${rewritten} rows (${fromPrefix} → ${toPrefix})`);
+    return { copied, skipped, rewritten };
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// --- CLI: node storage.js migrate-files --from local --to s3 [--dry-run] ---
+async function main() {
+  dotenv.config();
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? args[i + 1] : fallback;
+  };
+
+  if (args[0] !== "migrate-files") {
+    console.error("Usage: node storage.js migrate-files --from local --to s3 [--dry-run]");
+    process.exitCode = 1;
+    return;
+  }
+
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL, connectionTimeoutMillis: 5000 });
+  try {
+    const from = storageFromEnv(option("from", "local"));
+    const to = storageFromEnv(option("to", process.env.STORAGE_DRIVER || "s3"));
+    if (from.description === to.description) throw new Error("Source and target storage are the same");
+    console.log(`${from.description} → ${to.description}`);
+    await migrateFiles(pool, from, to, { dryRun: args.includes("--dry-run") });
+  } catch (e) {
+    console.error("❌", e.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main();
+}